@@ -0,0 +1,443 @@
+/**
+ * Echoes of Elaria - Modular Application
+ * Full version: wires the engine, UI, audio and persistence together and drives the screens
+ */
+
+import { GameEngine } from './game/engine.js';
+import { UI } from './game/ui.js';
+import { AudioManager } from './game/audio.js';
+import { Persistence } from './game/persistence.js';
+
+export class EchoesOfElaria {
+    constructor() {
+        this.currentScreen = 'loading-screen';
+        this.selectedClass = null;
+        this.selectedFaction = null;
+
+        // Subsystems
+        this.persistence = new Persistence();
+        this.audioManager = new AudioManager();
+        this.ui = new UI();
+        this.gameEngine = new GameEngine();
+
+        // Persistent settings (loaded in init)
+        this.settings = null;
+        this.autoSaveTimer = null;
+
+        // Background music for each screen
+        this.screenMusic = {
+            'main-menu': 'menu',
+            'hub-screen': 'hub',
+            'crafting-screen': 'hub',
+            'character-creation': 'menu',
+            'game-screen': 'run'
+        };
+    }
+
+    async init() {
+        try {
+            console.log('🎮 Initializing Echoes of Elaria...');
+
+            // Show loading screen
+            this.showScreen('loading-screen');
+
+            // Storage first: everything else reads saved data
+            await this.persistence.init();
+            this.settings = await this.persistence.loadSettings();
+
+            await this.audioManager.init();
+            this.audioManager.applySettings(this.settings);
+
+            this.ui.init();
+            this.gameEngine.init(this.persistence, this.audioManager, this.ui);
+            await this.gameEngine.loadMetaProgression();
+
+            // Set up event listeners
+            this.setupEventListeners();
+            this.setupEngineEvents();
+
+            // Update UI with saved data
+            this.updateUI();
+            await this.gameEngine.checkForSavedRun();
+
+            // Show main menu
+            this.showScreen('main-menu');
+
+            console.log('✅ Game initialized successfully!');
+
+        } catch (error) {
+            console.error('❌ Failed to initialize game:', error);
+            this.showError('Failed to initialize game. Please refresh the page.');
+            throw error;
+        }
+    }
+
+    setupEventListeners() {
+        // Main Menu buttons (Continue is handled by the UI)
+        this.getElementById('new-game-btn')?.addEventListener('click', () => {
+            this.startNewRun();
+        });
+
+        this.getElementById('hub-btn')?.addEventListener('click', () => {
+            this.showScreen('hub-screen');
+        });
+
+        // Hub screen buttons (the Forge opens through the UI)
+        this.getElementById('hub-back-btn')?.addEventListener('click', () => {
+            this.showScreen('main-menu');
+        });
+
+        ['forge', 'library', 'altar', 'faction'].forEach(buildingType => {
+            this.getElementById(`${buildingType}-upgrade-btn`)?.addEventListener('click', () => {
+                this.upgradeBuilding(buildingType);
+            });
+        });
+
+        // Character Creation
+        this.getElementById('char-back-btn')?.addEventListener('click', () => {
+            this.showScreen('main-menu');
+        });
+
+        this.getElementById('start-run-btn')?.addEventListener('click', () => {
+            this.beginRun();
+        });
+
+        // Class selection
+        document.querySelectorAll('.class-card').forEach(card => {
+            card.addEventListener('click', () => {
+                this.selectClass(card.dataset.class);
+            });
+        });
+
+        // Faction selection
+        document.querySelectorAll('.faction-card').forEach(card => {
+            card.addEventListener('click', () => {
+                this.selectFaction(card.dataset.faction);
+            });
+        });
+
+        // Leave a run for the menu; it is autosaved and can be continued
+        this.getElementById('map-menu-btn')?.addEventListener('click', async () => {
+            await this.gameEngine.saveActiveRun();
+            await this.gameEngine.checkForSavedRun();
+            this.showScreen('main-menu');
+        });
+
+        // Crafting screen
+        this.getElementById('crafting-back-btn')?.addEventListener('click', () => {
+            this.showScreen('hub-screen');
+        });
+
+        // Periodic save of meta progression (runs also autosave as they progress)
+        if (this.settings?.gameplay?.autoSave !== false) {
+            this.autoSaveTimer = setInterval(() => {
+                this.saveGameData();
+            }, this.settings?.gameplay?.autoSaveInterval || 30000);
+        }
+
+        console.log('🎯 Event listeners set up');
+    }
+
+    /**
+     * React to engine events with notifications and screen changes
+     */
+    setupEngineEvents() {
+        this.gameEngine.addEventListener('runEnded', ({ rewards }) => {
+            this.updateUI();
+
+            (rewards.unlockedRecipes || []).forEach(recipeId => {
+                this.showNotification(`New recipe: ${this.gameEngine.crafting.getRecipeName(recipeId)}`, 'success');
+            });
+        });
+
+        this.gameEngine.addEventListener('factionLevelUp', ({ faction, level, skills }) => {
+            const factionName = this.gameEngine.entities.factionBonuses[faction]?.name || faction;
+            this.showNotification(`${factionName} reputation level ${level}!`, 'success');
+
+            skills.forEach(skillName => {
+                this.showNotification(`New faction skill: ${skillName}`, 'success');
+            });
+        });
+
+        this.gameEngine.addEventListener('characterLevelUp', ({ level, skills, loadout }) => {
+            this.audioManager.playUISound('achievement');
+            this.showNotification(`Level ${level}!`, 'success');
+
+            skills.forEach(skillName => {
+                const where = loadout.includes(skillName) ? 'added to your loadout' : 'swap it in from the inventory';
+                this.showNotification(`New skill: ${skillName} (${where})`, 'success');
+            });
+        });
+
+        this.gameEngine.addEventListener('craftsCompleted', ({ items }) => {
+            items.forEach(item => {
+                this.showNotification(`${item.name} is ready at the Forge`, 'success');
+            });
+        });
+
+        this.gameEngine.addEventListener('itemEquipped', ({ item }) => {
+            this.audioManager.playUISound('button_click');
+            this.showNotification(`Equipped ${item.name}`, 'info');
+        });
+    }
+
+    showScreen(screenId) {
+        // Hide all screens
+        document.querySelectorAll('.screen').forEach(screen => {
+            screen.classList.remove('active');
+        });
+
+        // Show target screen
+        const targetScreen = document.getElementById(screenId);
+        if (targetScreen) {
+            targetScreen.classList.add('active');
+            this.currentScreen = screenId;
+
+            // Add fade-in animation
+            targetScreen.classList.add('fade-in');
+            setTimeout(() => {
+                targetScreen.classList.remove('fade-in');
+            }, 300);
+
+            // Menu and hub show meta progression, so refresh it on the way in
+            if (screenId === 'main-menu' || screenId === 'hub-screen') {
+                this.updateUI();
+            }
+
+            this.playScreenMusic(screenId);
+
+            console.log(`📺 Switched to screen: ${screenId}`);
+        } else {
+            console.error(`❌ Screen not found: ${screenId}`);
+        }
+    }
+
+    playScreenMusic(screenId) {
+        const context = this.screenMusic[screenId];
+        if (!context) return;
+
+        const region = this.gameEngine.activeRun?.map.nodes[this.gameEngine.activeRun.currentNodeIndex]?.regionKey;
+        this.audioManager.playContextualMusic(context, region || null);
+    }
+
+    startNewRun() {
+        console.log('🚀 Starting new run...');
+        this.showScreen('character-creation');
+        this.resetCharacterCreation();
+    }
+
+    resetCharacterCreation() {
+        // Clear previous selections
+        document.querySelectorAll('.class-card.selected').forEach(card => {
+            card.classList.remove('selected');
+        });
+
+        document.querySelectorAll('.faction-card.selected').forEach(card => {
+            card.classList.remove('selected');
+        });
+
+        // Only offer classes that have been unlocked
+        document.querySelectorAll('.class-card').forEach(card => {
+            const unlocked = this.gameEngine.metaProgression.unlockedClasses.has(card.dataset.class);
+            card.classList.toggle('locked', !unlocked);
+        });
+
+        // Disable start button
+        const startBtn = this.getElementById('start-run-btn');
+        if (startBtn) startBtn.disabled = true;
+
+        // Reset selection state
+        this.selectedClass = null;
+        this.selectedFaction = null;
+    }
+
+    selectClass(className) {
+        if (!this.gameEngine.metaProgression.unlockedClasses.has(className)) {
+            this.showNotification('That class has not been unlocked yet', 'warning');
+            return;
+        }
+
+        // Remove previous selection
+        document.querySelectorAll('.class-card.selected').forEach(card => {
+            card.classList.remove('selected');
+        });
+
+        // Add selection to clicked card
+        const selectedCard = document.querySelector(`[data-class="${className}"]`);
+        if (selectedCard) {
+            selectedCard.classList.add('selected');
+        }
+
+        this.selectedClass = className;
+        this.checkCanStartRun();
+
+        console.log(`⚔️ Selected class: ${className}`);
+    }
+
+    selectFaction(factionName) {
+        // Remove previous selection
+        document.querySelectorAll('.faction-card.selected').forEach(card => {
+            card.classList.remove('selected');
+        });
+
+        // Add selection to clicked card
+        const selectedCard = document.querySelector(`[data-faction="${factionName}"]`);
+        if (selectedCard) {
+            selectedCard.classList.add('selected');
+        }
+
+        this.selectedFaction = factionName;
+        this.checkCanStartRun();
+
+        console.log(`🏛️ Selected faction: ${factionName}`);
+    }
+
+    checkCanStartRun() {
+        const canStart = this.selectedClass && this.selectedFaction;
+        const startBtn = this.getElementById('start-run-btn');
+        if (startBtn) {
+            startBtn.disabled = !canStart;
+        }
+    }
+
+    async beginRun() {
+        if (!this.selectedClass || !this.selectedFaction) {
+            console.warn('⚠️ Class and faction must be selected');
+            return;
+        }
+
+        console.log(`🎯 Beginning run: ${this.selectedClass} of ${this.selectedFaction}`);
+
+        try {
+            await this.gameEngine.startNewRun(this.selectedClass, this.selectedFaction);
+
+            // Switch to game screen
+            this.showScreen('game-screen');
+            this.ui.showMapView();
+
+            this.showNotification(`Started new run as ${this.selectedClass}!`, 'success');
+
+        } catch (error) {
+            console.error('❌ Failed to begin run:', error);
+            this.showError('Could not start the run.');
+        }
+    }
+
+    async upgradeBuilding(buildingType) {
+        if (this.gameEngine.upgradeBuilding(buildingType)) {
+            await this.gameEngine.saveMetaProgression();
+            this.updateUI();
+
+            this.audioManager.playUISound('achievement');
+            this.showNotification(`${buildingType.charAt(0).toUpperCase() + buildingType.slice(1)} upgraded!`, 'success');
+        } else {
+            this.showNotification('Insufficient Echoes', 'warning');
+        }
+    }
+
+    updateUI() {
+        const meta = this.gameEngine.metaProgression;
+
+        // Update echoes display
+        const echoesElements = document.querySelectorAll('#echoes-count, #hub-echoes');
+        echoesElements.forEach(el => {
+            if (el) el.textContent = meta.echoes;
+        });
+
+        // Update building levels and costs
+        Object.keys(meta.buildings).forEach(buildingType => {
+            const building = meta.buildings[buildingType];
+
+            // Update level display
+            const levelEl = this.getElementById(`${buildingType}-level`);
+            if (levelEl) {
+                levelEl.textContent = building.level;
+            }
+
+            // Update upgrade button
+            const upgradeBtn = this.getElementById(`${buildingType}-upgrade-btn`);
+            if (upgradeBtn) {
+                const cost = this.gameEngine.getBuildingUpgradeCost(buildingType);
+
+                upgradeBtn.disabled = !this.gameEngine.canAffordUpgrade(buildingType);
+                upgradeBtn.textContent = `Upgrade (${cost} ✦)`;
+            }
+        });
+    }
+
+    async saveGameData() {
+        try {
+            await this.gameEngine.saveMetaProgression();
+            await this.gameEngine.saveActiveRun();
+            console.log('💾 Game data saved');
+        } catch (error) {
+            console.error('❌ Failed to save game data:', error);
+        }
+    }
+
+    showNotification(message, type = 'info') {
+        // Create notification element
+        const notification = document.createElement('div');
+        notification.className = `notification ${type}`;
+        notification.textContent = message;
+
+        // Stack below notifications that are already showing
+        const offset = document.querySelectorAll('.notification').length * 56;
+
+        // Style the notification
+        Object.assign(notification.style, {
+            position: 'fixed',
+            top: `${20 + offset}px`,
+            right: '20px',
+            padding: '12px 24px',
+            borderRadius: '8px',
+            color: 'white',
+            fontWeight: 'bold',
+            zIndex: '10000',
+            opacity: '0',
+            transform: 'translateX(100%)',
+            transition: 'all 0.3s ease'
+        });
+
+        // Set background color based on type
+        const colors = {
+            success: '#228B22',
+            danger: '#DC143C',
+            warning: '#FF8C00',
+            info: '#4169E1'
+        };
+        notification.style.backgroundColor = colors[type] || colors.info;
+
+        // Add to page
+        document.body.appendChild(notification);
+
+        // Animate in
+        setTimeout(() => {
+            notification.style.opacity = '1';
+            notification.style.transform = 'translateX(0)';
+        }, 10);
+
+        // Remove after delay
+        setTimeout(() => {
+            notification.style.opacity = '0';
+            notification.style.transform = 'translateX(100%)';
+            setTimeout(() => {
+                if (document.body.contains(notification)) {
+                    document.body.removeChild(notification);
+                }
+            }, 300);
+        }, 3000);
+    }
+
+    showError(message) {
+        this.showNotification(message, 'danger');
+    }
+
+    getElementById(id) {
+        return document.getElementById(id);
+    }
+
+    delay(ms) {
+        return new Promise(resolve => setTimeout(resolve, ms));
+    }
+}
@@ -0,0 +1,402 @@
+/**
+ * Echoes of Elaria - Character Model
+ * The player's character: stats, leveling, resources, status effects and save format
+ */
+
+export class Character {
+    constructor(data = {}) {
+        this.name = data.name || 'Hero';
+        this.className = data.className;
+        this.faction = data.faction || null;
+        this.level = data.level || 1;
+        this.experience = data.experience || 0;
+        this.experienceToNext = data.experienceToNext || 100;
+
+        // Class constants needed to derive max HP/MP and level up
+        this.baseHealth = data.baseHealth || 100;
+        this.baseMana = data.baseMana || 30;
+        this.healthPerLevel = data.healthPerLevel || 0;
+        this.manaPerLevel = data.manaPerLevel || 0;
+        this.growthRates = { ...(data.growthRates || {}) };
+
+        // Base stats (modified by equipment in recalculateStats)
+        this.baseStats = { ...(data.baseStats || {}) };
+
+        // HP/MP gained from level ups, on top of what stats provide
+        this.levelGains = { health: 0, mana: 0, ...(data.levelGains || {}) };
+
+        // Skills, and how many of the unlocked ones can be taken into combat (`inLoadout`)
+        this.skills = (data.skills || []).map(skill => ({ ...skill }));
+        this.loadoutSize = 4;
+        this.maxSkillRank = 5;
+
+        // New characters start with the first unlocked skills in their loadout
+        if (!this.skills.some(skill => skill.inLoadout)) {
+            this.fillLoadout();
+        }
+
+        // Equipped gear by slot
+        this.equipment = {
+            weapon: null,
+            armor: null,
+            accessory: null,
+            ...(data.equipment || {})
+        };
+
+        // Faction bonuses (multipliers, set at creation)
+        this.factionBonuses = data.factionBonuses ? { ...data.factionBonuses } : null;
+
+        // Passives picked on level up (their `bonuses` stack with the faction's)
+        this.passives = (data.passives || []).map(passive => ({ ...passive }));
+
+        // Status effects (saved as an array of [type, effect] entries)
+        this.statusEffects = new Map(data.statusEffects instanceof Map
+            ? data.statusEffects
+            : (data.statusEffects || []));
+
+        // Derive effective stats, then restore current resources (new characters start full)
+        this.recalculateStats();
+        this.hp = data.hp ?? this.maxHealth;
+        this.mana = data.mana ?? this.maxMana;
+    }
+
+    /**
+     * Combat code addresses entities by `maxHp`; for characters it is `maxHealth`
+     */
+    get maxHp() {
+        return this.maxHealth;
+    }
+
+    /**
+     * Recalculate effective and derived stats from base stats, level, gear and faction
+     */
+    recalculateStats() {
+        const gear = this.getEquipmentBonuses();
+
+        // Primary stats are base stats plus equipment
+        ['strength', 'agility', 'intelligence', 'vitality'].forEach(stat => {
+            this[stat] = (this.baseStats[stat] || 0) + (gear[stat] || 0);
+        });
+
+        this.maxHealth = this.baseHealth + (this.vitality * 5) + this.levelGains.health;
+        this.maxMana = this.baseMana + (this.intelligence * 3) + this.levelGains.mana;
+
+        this.attack = this.strength + Math.floor(this.level * 0.5) + (gear.attack || 0);
+        this.defense = Math.floor(this.vitality * 0.8) + Math.floor(this.level * 0.3) + (gear.defense || 0);
+        this.speed = Math.max(1, this.agility + Math.floor(this.level * 0.2) + (gear.speed || 0));
+
+        // Apply faction and passive bonuses (the rest apply in combat and when gathering resources)
+        this.defense = Math.floor(this.defense * this.getBonus('defenseBonus'));
+
+        // Keep current resources within the (possibly lower) maximums
+        if (this.hp !== undefined) {
+            this.hp = Math.min(this.hp, this.maxHealth);
+            this.mana = Math.min(this.mana, this.maxMana);
+        }
+    }
+
+    /**
+     * Multiplier for one of the faction bonuses (1 when the faction doesn't grant it)
+     */
+    getFactionBonus(bonus) {
+        return (this.factionBonuses && this.factionBonuses[bonus]) || 1;
+    }
+
+    /**
+     * Combined multiplier for a bonus from the faction and every passive
+     */
+    getBonus(bonus) {
+        return this.passives.reduce(
+            (total, passive) => total * ((passive.bonuses && passive.bonuses[bonus]) || 1),
+            this.getFactionBonus(bonus)
+        );
+    }
+
+    /**
+     * Learn a passive (a copy of an Entities passive template)
+     */
+    addPassive(passive) {
+        this.passives.push({ ...passive, bonuses: { ...passive.bonuses } });
+        this.recalculateStats();
+
+        console.log(`🌟 ${this.name} gained passive: ${passive.name}`);
+    }
+
+    hasPassive(passiveId) {
+        return this.passives.some(passive => passive.id === passiveId);
+    }
+
+    /**
+     * Sum stat modifiers from all equipped gear
+     */
+    getEquipmentBonuses() {
+        const bonuses = {};
+
+        Object.values(this.equipment).forEach(item => {
+            if (!item || !item.stats) return;
+
+            Object.entries(item.stats).forEach(([stat, amount]) => {
+                bonuses[stat] = (bonuses[stat] || 0) + amount;
+            });
+        });
+
+        return bonuses;
+    }
+
+    /**
+     * Add (or remove) base stats, never going below 1
+     */
+    modifyBaseStats(statChanges) {
+        Object.entries(statChanges).forEach(([stat, amount]) => {
+            this.baseStats[stat] = Math.max(1, (this.baseStats[stat] || 0) + amount);
+        });
+
+        this.recalculateStats();
+    }
+
+    /**
+     * Add experience, levelling up as many times as it covers. `rng` (a SeededRandom)
+     * rolls the stat growth so replays of a run level up identically.
+     * Returns the level up results (empty if none).
+     */
+    addExperience(experience, rng) {
+        const levelUps = [];
+        this.experience += experience;
+
+        while (this.experience >= this.experienceToNext) {
+            levelUps.push(this.levelUp(rng));
+        }
+
+        return levelUps;
+    }
+
+    /**
+     * Level up: grow stats, HP and MP, and unlock skills
+     */
+    levelUp(rng) {
+        const oldLevel = this.level;
+        this.level++;
+        this.experience -= this.experienceToNext;
+        this.experienceToNext = Math.floor(this.experienceToNext * 1.2);
+
+        // Increase stats based on growth rates
+        Object.keys(this.growthRates).forEach(stat => {
+            const increase = Math.floor(this.growthRates[stat] + rng.next());
+            this.baseStats[stat] += increase;
+        });
+
+        // Increase health and mana
+        const healthIncrease = this.healthPerLevel + Math.floor(this.vitality * 0.5);
+        const manaIncrease = this.manaPerLevel + Math.floor(this.intelligence * 0.3);
+
+        this.levelGains.health += healthIncrease;
+        this.levelGains.mana += manaIncrease;
+
+        // Recalculate derived stats, then refill by what the new stats added (level up heals)
+        const oldMaxHealth = this.maxHealth;
+        const oldMaxMana = this.maxMana;
+        this.recalculateStats();
+        this.hp += this.maxHealth - oldMaxHealth;
+        this.mana += this.maxMana - oldMaxMana;
+
+        console.log(`📈 ${this.name} leveled up! ${oldLevel} → ${this.level}`);
+
+        // Unlock new skills at certain levels
+        const unlockedSkills = this.checkSkillUnlocks();
+
+        return {
+            oldLevel,
+            newLevel: this.level,
+            statGains: {
+                health: this.maxHealth - oldMaxHealth,
+                mana: this.maxMana - oldMaxMana
+            },
+            unlockedSkills
+        };
+    }
+
+    /**
+     * Unlock skills whose required level has been reached
+     */
+    checkSkillUnlocks() {
+        const unlocked = [];
+
+        this.skills.forEach(skill => {
+            if (!skill.unlocked && this.level >= (skill.requiredLevel || 1)) {
+                skill.unlocked = true;
+                unlocked.push(skill);
+                console.log(`🆕 ${this.name} unlocked skill: ${skill.name}`);
+            }
+        });
+
+        // New skills go straight into free loadout slots
+        this.fillLoadout();
+
+        return unlocked;
+    }
+
+    /**
+     * Raise a skill one rank (`level`): 15% more damage and healing, 10% cheaper, status
+     * effects 10% likelier, and a turn off the cooldown at every odd rank. Returns false
+     * once the skill is at the maximum rank.
+     */
+    rankUpSkill(skillIndex) {
+        const skill = this.skills[skillIndex];
+        if (!skill || (skill.level || 1) >= this.maxSkillRank) return false;
+
+        skill.level = (skill.level || 1) + 1;
+
+        if (skill.damage > 0) skill.damage = Math.ceil(skill.damage * 1.15);
+        if (skill.healing > 0) skill.healing = Math.ceil(skill.healing * 1.15);
+        if (skill.manaCost > 0) skill.manaCost = Math.floor(skill.manaCost * 0.9);
+        if (skill.cooldown > 0 && skill.level % 2 === 1) skill.cooldown--;
+
+        // Effects are shared with the skill template, so replace rather than modify them
+        if (skill.statusEffects) {
+            skill.statusEffects = skill.statusEffects.map(effect => (
+                effect.chance === undefined ? { ...effect } : { ...effect, chance: Math.min(1, effect.chance + 0.1) }
+            ));
+        }
+
+        console.log(`⬆️ ${skill.name} reached rank ${skill.level}`);
+        return true;
+    }
+
+    /**
+     * Unlocked skills in the combat loadout, in skill order
+     */
+    getLoadout() {
+        return this.skills.filter(skill => skill.unlocked && skill.inLoadout);
+    }
+
+    /**
+     * Put unlocked skills into any free loadout slots
+     */
+    fillLoadout() {
+        this.skills.forEach(skill => {
+            if (skill.unlocked && !skill.inLoadout && this.getLoadout().length < this.loadoutSize) {
+                skill.inLoadout = true;
+            }
+        });
+    }
+
+    /**
+     * Add an unlocked skill to the loadout or take it out (one skill always stays in).
+     * Returns whether the loadout changed.
+     */
+    toggleLoadoutSkill(skillIndex) {
+        const skill = this.skills[skillIndex];
+        if (!skill || !skill.unlocked) return false;
+
+        if (skill.inLoadout) {
+            if (this.getLoadout().length <= 1) return false;
+            skill.inLoadout = false;
+        } else {
+            if (this.getLoadout().length >= this.loadoutSize) return false;
+            skill.inLoadout = true;
+        }
+
+        return true;
+    }
+
+    /**
+     * Heal, returning the HP actually restored
+     */
+    heal(amount) {
+        const oldHp = this.hp;
+        this.hp = Math.min(this.maxHealth, this.hp + amount);
+        return this.hp - oldHp;
+    }
+
+    /**
+     * Restore mana, returning the MP actually restored
+     */
+    restoreMana(amount) {
+        const oldMp = this.mana;
+        this.mana = Math.min(this.maxMana, this.mana + amount);
+        return this.mana - oldMp;
+    }
+
+    /**
+     * Take damage, returning the HP actually lost
+     */
+    takeDamage(amount) {
+        const oldHp = this.hp;
+        this.hp = Math.max(0, this.hp - amount);
+        return oldHp - this.hp;
+    }
+
+    isAlive() {
+        return this.hp > 0;
+    }
+
+    /**
+     * Status effect helpers (the Map is also used directly by Combat)
+     */
+    hasStatusEffect(type) {
+        return this.statusEffects.has(type);
+    }
+
+    addStatusEffect(type, effect) {
+        this.statusEffects.set(type, { ...effect });
+    }
+
+    removeStatusEffect(type) {
+        return this.statusEffects.delete(type);
+    }
+
+    clearStatusEffects() {
+        this.statusEffects.clear();
+    }
+
+    /**
+     * Take HP and MP from a combat copy of this character once the fight is over
+     */
+    syncResources(snapshot) {
+        this.hp = Math.max(0, Math.min(this.maxHealth, snapshot.hp));
+        this.mana = Math.max(0, Math.min(this.maxMana, snapshot.mana));
+    }
+
+    /**
+     * Independent copy (used for combat)
+     */
+    clone() {
+        return Character.fromJSON(JSON.parse(JSON.stringify(this)));
+    }
+
+    /**
+     * Save format: plain data with status effects as entries. Derived stats are
+     * left out and rebuilt on load.
+     */
+    toJSON() {
+        return {
+            name: this.name,
+            className: this.className,
+            faction: this.faction,
+            level: this.level,
+            experience: this.experience,
+            experienceToNext: this.experienceToNext,
+            baseHealth: this.baseHealth,
+            baseMana: this.baseMana,
+            healthPerLevel: this.healthPerLevel,
+            manaPerLevel: this.manaPerLevel,
+            growthRates: this.growthRates,
+            baseStats: this.baseStats,
+            levelGains: this.levelGains,
+            hp: this.hp,
+            mana: this.mana,
+            skills: this.skills,
+            equipment: this.equipment,
+            factionBonuses: this.factionBonuses,
+            passives: this.passives,
+            statusEffects: [...this.statusEffects.entries()]
+        };
+    }
+
+    /**
+     * Rebuild a character from its save format
+     */
+    static fromJSON(data) {
+        return data instanceof Character ? data : new Character(data);
+    }
+}
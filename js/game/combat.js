@@ -3,6 +3,8 @@
  * Turn-based combat with skills, enemy AI, boss mechanics, and telegraphed attacks
  */
 
+import { SeededRandom } from './random.js';
+
 export class Combat {
     constructor() {
         this.gameEngine = null;
@@ -13,10 +15,28 @@ export class Combat {
         this.turnCounter = 0;
         this.combatData = null;
         
-        // Combat participants
+        // Random source owned by the current encounter (replaced on every startCombat)
+        this.rng = new SeededRandom();
+        
+        // Player inputs for the current encounter, replayable against the same seed
+        this.actionHistory = [];
+        
+        // Combat participants. `enemy` is the enemy currently acting (or being planned for);
+        // the AI helpers all work on it.
         this.player = null;
+        this.enemies = [];
         this.enemy = null;
         
+        // Enemy the player's skills are aimed at (index into `enemies`)
+        this.targetIndex = 0;
+        
+        // Initiative timeline. Each combatant's next turn comes due at its `initiative` time and
+        // acting pushes it back by `turnLength / speed`, so faster combatants act more often.
+        // Keyed by 'player' or an index into `enemies`; `actingId` is whoever's turn it is.
+        this.turnLength = 100;
+        this.initiative = {};
+        this.actingId = null;
+        
         // Combat options and flags
         this.combatOptions = {
             isBoss: false,
@@ -24,28 +44,70 @@ export class Combat {
             timeLimit: null
         };
         
-        // Status effects system
+        // Bonus that boosts each damage element (see Entities.factionBonuses and passiveTemplates)
+        this.elementDamageBonuses = {
+            fire: 'fireDamageBonus',
+            ice: 'iceDamageBonus',
+            lightning: 'lightningDamageBonus',
+            light: 'lightDamageBonus',
+            dark: 'darkDamageBonus',
+            nature: 'natureDamageBonus'
+        };
+        
+        // Damage multipliers when a skill's element hits a weakness or a resistance
+        // (enemies list theirs as `weaknesses` / `resistances`, see MapGenerator)
+        this.elementalMatchups = {
+            weak: 1.5,
+            resisted: 0.5
+        };
+        
+        // Status effects system. Multipliers are combined by getStatusModifiers:
+        // `attack` scales damage dealt, `defense` divides damage taken, `speed` scales speed,
+        // `accuracy`/`evasion` scale the chance to hit/be missed, `critChance` and `healing`
+        // scale crits and healing done, `elemental` scales magic damage and `allStats` covers
+        // attack, defense and speed. The rest are flags handled where they apply
+        // (`reflect` sends that share of damage taken back at the attacker).
+        // `negative` effects are the ones Purify removes.
+        // `stacking` decides what reapplying does: 'refresh' keeps the longer duration,
+        // 'extend' adds the durations, 'stack' adds intensity up to `maxStacks` (and refreshes),
+        // 'unique' ignores reapplication while the effect is active.
         this.statusEffects = {
             // Buffs
-            strength_boost: { duration: 3, effect: { attack: 1.2 } },
-            defense_boost: { duration: 3, effect: { defense: 1.3 } },
-            speed_boost: { duration: 2, effect: { speed: 1.5 } },
-            regeneration: { duration: 5, effect: { healPerTurn: 0.1 } },
+            strength_boost: { name: 'Strength', icon: '💪', description: 'Deals 20% more damage', stacking: 'refresh', duration: 3, effect: { attack: 1.2 } },
+            defense_boost: { name: 'Guarded', icon: '🛡️', description: 'Takes less damage', stacking: 'refresh', duration: 3, effect: { defense: 1.3 } },
+            speed_boost: { name: 'Haste', icon: '💨', description: 'Faster and harder to hit', stacking: 'refresh', duration: 2, effect: { speed: 1.5, evasion: 1.25 } },
+            regeneration: { name: 'Regeneration', icon: '💚', description: 'Heals 10% of max HP each turn', stacking: 'extend', duration: 5, effect: { healPerTurn: 0.1 } },
+            blessed: { name: 'Blessed', icon: '✨', description: 'All stats and healing increased', stacking: 'refresh', duration: 4, effect: { allStats: 1.2, healing: 1.3 } },
+            focused: { name: 'Focused', icon: '🎯', description: 'Higher critical hit chance', stacking: 'refresh', duration: 2, effect: { critChance: 1.5 } },
+            elemental_boost: { name: 'Elemental Mastery', icon: '🌟', description: 'Magic deals 50% more damage', stacking: 'refresh', duration: 5, effect: { elemental: 1.5 } },
+            evasion_boost: { name: 'Evasive', icon: '💫', description: 'Much harder to hit; dodges telegraphed attacks', stacking: 'refresh', duration: 2, effect: { evasion: 2.0 } },
+            stealth: { name: 'Stealth', icon: '👤', description: 'Harder to hit, more likely to crit', stacking: 'refresh', duration: 3, effect: { evasion: 1.6, critChance: 1.5 } },
+            
+            // Protection
+            mana_shield: { name: 'Mana Shield', icon: '🔵', description: 'Damage is paid from mana first', stacking: 'refresh', duration: 4, effect: { manaShield: true } },
+            divine_shield: { name: 'Divine Shield', icon: '🔆', description: 'Immune to damage', stacking: 'unique', duration: 2, effect: { immune: true } },
+            resurrection: { name: 'Resurrection', icon: '⚱️', description: 'Revives once with 30% HP', stacking: 'unique', duration: 10, effect: { revive: 0.3 } },
+            purified: { name: 'Purified', icon: '🌟', description: 'Immune to new debuffs', stacking: 'refresh', duration: 1, effect: { cleanse: true } },
+            thorns: { name: 'Thorns', icon: '🌵', description: 'Reflects 30% of damage taken back at the attacker', stacking: 'refresh', duration: 4, effect: { reflect: 0.3, defense: 1.1 } },
             
             // Debuffs
-            poison: { duration: 4, effect: { damagePerTurn: 0.08 } },
-            weakness: { duration: 3, effect: { attack: 0.7 } },
-            slow: { duration: 2, effect: { speed: 0.6 } },
-            curse: { duration: 4, effect: { allStats: 0.8 } },
+            poison: { name: 'Poison', icon: '☠️', description: 'Loses 8% of max HP each turn per stack', stacking: 'stack', maxStacks: 5, duration: 4, negative: true, effect: { damagePerTurn: 0.08 } },
+            weakness: { name: 'Weakness', icon: '🥀', description: 'Deals 30% less damage', stacking: 'refresh', duration: 3, negative: true, effect: { attack: 0.7 } },
+            slow: { name: 'Slowed', icon: '🐌', description: 'Speed reduced', stacking: 'refresh', duration: 2, negative: true, effect: { speed: 0.6 } },
+            curse: { name: 'Cursed', icon: '💀', description: 'All stats and healing reduced', stacking: 'extend', duration: 4, negative: true, effect: { allStats: 0.8, healing: 0.7 } },
+            defense_weakness: { name: 'Exposed', icon: '💔', description: 'Takes more damage', stacking: 'refresh', duration: 4, negative: true, effect: { defense: 0.7 } },
+            blinded: { name: 'Blinded', icon: '🌫️', description: 'Attacks often miss', stacking: 'refresh', duration: 2, negative: true, effect: { accuracy: 0.6 } },
+            taunted: { name: 'Taunted', icon: '😤', description: 'Can only attack', stacking: 'refresh', duration: 2, negative: true, effect: { forceAttack: true } },
             
             // Special
-            stunned: { duration: 1, effect: { skipTurn: true } },
-            bleeding: { duration: 3, effect: { damagePerTurn: 0.05 } },
-            burning: { duration: 2, effect: { damagePerTurn: 0.12 } },
-            frozen: { duration: 1, effect: { skipTurn: true, defense: 0.5 } }
+            stunned: { name: 'Stunned', icon: '💫', description: 'Loses its next turn', stacking: 'unique', duration: 1, negative: true, effect: { skipTurn: true } },
+            bleeding: { name: 'Bleeding', icon: '🩸', description: 'Loses 5% of max HP each turn per stack', stacking: 'stack', maxStacks: 3, duration: 3, negative: true, effect: { damagePerTurn: 0.05 } },
+            burning: { name: 'Burning', icon: '🔥', description: 'Loses 12% of max HP each turn', stacking: 'refresh', duration: 2, negative: true, effect: { damagePerTurn: 0.12 } },
+            frozen: { name: 'Frozen', icon: '🧊', description: 'Loses its next turn and takes double damage', stacking: 'unique', duration: 1, negative: true, effect: { skipTurn: true, defense: 0.5 } }
         };
         
-        // Boss phase system
+        // Boss phase scripts: crossing an HP threshold announces the phase and teaches the
+        // boss its abilities (see getBossSkill). Thresholds must be in descending order.
         this.bossPhases = {
             forest_guardian: {
                 phases: [
@@ -54,6 +116,20 @@ export class Combat {
                     { hpThreshold: 0.25, abilities: ['forest_fury'], message: 'The Guardian enters a primal rage!' }
                 ]
             },
+            elder_treant: {
+                phases: [
+                    { hpThreshold: 0.75, abilities: ['bark_armor'], message: 'The Elder Treant\'s bark thickens!' },
+                    { hpThreshold: 0.5, abilities: ['branch_slam'], message: 'Massive branches sweep the clearing!' },
+                    { hpThreshold: 0.25, abilities: ['forest_blessing'], message: 'The forest pours its life into the Treant!' }
+                ]
+            },
+            desert_king: {
+                phases: [
+                    { hpThreshold: 0.75, abilities: ['sand_storm'], message: 'The Desert King raises a howling sandstorm!' },
+                    { hpThreshold: 0.5, abilities: ['mirage'], message: 'The King\'s form shimmers and splits!' },
+                    { hpThreshold: 0.25, abilities: ['scorching_strike'], message: 'The King\'s blade glows with desert heat!' }
+                ]
+            },
             sand_dragon: {
                 phases: [
                     { hpThreshold: 0.66, abilities: ['sand_breath'], message: 'The dragon inhales deeply...' },
@@ -68,6 +144,27 @@ export class Combat {
                     { hpThreshold: 0.4, abilities: ['frozen_heart'], message: 'The Queen\'s heart turns to ice!' },
                     { hpThreshold: 0.2, abilities: ['absolute_zero'], message: 'The temperature drops to absolute zero!' }
                 ]
+            },
+            frost_dragon: {
+                phases: [
+                    { hpThreshold: 0.7, abilities: ['ice_breath'], message: 'Frost gathers in the dragon\'s jaws!' },
+                    { hpThreshold: 0.4, abilities: ['blizzard'], message: 'The dragon\'s wings whip up a blizzard!' },
+                    { hpThreshold: 0.15, abilities: ['absolute_zero'], message: 'The air itself begins to freeze!' }
+                ]
+            },
+            ancient_king: {
+                phases: [
+                    { hpThreshold: 0.75, abilities: ['royal_command'], message: 'The Ancient King commands you to kneel!' },
+                    { hpThreshold: 0.5, abilities: ['ancient_curse'], message: 'A curse older than the ruins stirs!' },
+                    { hpThreshold: 0.25, abilities: ['kingly_wrath'], message: 'The King rises in terrible wrath!' }
+                ]
+            },
+            shadow_lord: {
+                phases: [
+                    { hpThreshold: 0.75, abilities: ['shadow_step'], message: 'The Shadow Lord melts into the darkness!' },
+                    { hpThreshold: 0.5, abilities: ['dark_magic'], message: 'Dark sorcery crackles around the Shadow Lord!' },
+                    { hpThreshold: 0.25, abilities: ['void_strike'], message: 'The void opens behind the Shadow Lord!' }
+                ]
             }
         };
         
@@ -78,8 +175,8 @@ export class Combat {
                 weights: [0.6, 0.3, 0.1]
             },
             defensive: {
-                priorities: ['defend', 'attack', 'heal'],
-                weights: [0.4, 0.4, 0.2]
+                priorities: ['defend', 'attack', 'special', 'heal'],
+                weights: [0.3, 0.35, 0.15, 0.2]
             },
             tactical: {
                 priorities: ['debuff', 'attack', 'special'],
@@ -91,6 +188,131 @@ export class Combat {
             }
         };
         
+        // Enemy skill kits by enemy type. `power` scales the enemy's attack into skill damage,
+        // `healPercent` is the share of max HP a heal restores, `element` tags the damage for
+        // weaknesses and resistances. `aiPattern` overrides the pattern guessed from the type name.
+        this.enemySkillKits = {
+            // Forest
+            goblin: {
+                aiPattern: 'aggressive',
+                skills: [
+                    { name: 'Dirty Stab', role: 'special', power: 1.1, cooldown: 2, statusEffects: [{ type: 'bleeding', duration: 2, chance: 0.4 }] },
+                    { name: 'War Cry', role: 'buff', cooldown: 4, statusEffects: [{ type: 'strength_boost', duration: 2, chance: 1 }] }
+                ]
+            },
+            wolf: {
+                aiPattern: 'aggressive',
+                skills: [
+                    { name: 'Rending Bite', role: 'special', power: 1.3, cooldown: 2, statusEffects: [{ type: 'bleeding', duration: 3, chance: 0.6 }] },
+                    { name: 'Howl', role: 'buff', cooldown: 4, statusEffects: [{ type: 'strength_boost', duration: 3, chance: 1 }] }
+                ]
+            },
+            spider: {
+                aiPattern: 'tactical',
+                skills: [
+                    { name: 'Venomous Bite', role: 'special', power: 1.0, cooldown: 2, element: 'nature', statusEffects: [{ type: 'poison', duration: 4, chance: 0.7 }] },
+                    { name: 'Web Spray', role: 'debuff', cooldown: 3, accuracy: 0.85, statusEffects: [{ type: 'slow', duration: 2, chance: 0.8 }] }
+                ]
+            },
+            treant: {
+                aiPattern: 'defensive',
+                skills: [
+                    { name: 'Root Slam', role: 'special', power: 1.2, cooldown: 3, element: 'nature', statusEffects: [{ type: 'stunned', duration: 1, chance: 0.25 }] },
+                    { name: 'Regrowth', role: 'heal', healPercent: 0.2, cooldown: 4 }
+                ]
+            },
+            
+            // Desert
+            scorpion: {
+                aiPattern: 'aggressive',
+                skills: [
+                    { name: 'Tail Sting', role: 'special', power: 1.2, cooldown: 2, statusEffects: [{ type: 'poison', duration: 3, chance: 0.6 }] },
+                    { name: 'Harden Carapace', role: 'buff', cooldown: 4, statusEffects: [{ type: 'defense_boost', duration: 2, chance: 1 }] }
+                ]
+            },
+            bandit: {
+                aiPattern: 'aggressive',
+                skills: [
+                    { name: 'Cheap Shot', role: 'special', power: 1.0, cooldown: 3, statusEffects: [{ type: 'stunned', duration: 1, chance: 0.3 }] },
+                    { name: 'Quick Reflexes', role: 'buff', cooldown: 4, statusEffects: [{ type: 'speed_boost', duration: 2, chance: 1 }] }
+                ]
+            },
+            sand_wraith: {
+                aiPattern: 'tactical',
+                skills: [
+                    { name: 'Scouring Gale', role: 'special', power: 1.3, cooldown: 2, type: 'magic', statusEffects: [{ type: 'bleeding', duration: 2, chance: 0.3 }] },
+                    { name: 'Withering Touch', role: 'debuff', cooldown: 3, statusEffects: [{ type: 'weakness', duration: 3, chance: 0.8 }] }
+                ]
+            },
+            mummy: {
+                aiPattern: 'tactical',
+                skills: [
+                    { name: 'Grasping Wraps', role: 'special', power: 0.9, cooldown: 2, statusEffects: [{ type: 'slow', duration: 2, chance: 0.6 }] },
+                    { name: 'Pharaoh\'s Curse', role: 'debuff', cooldown: 4, type: 'magic', statusEffects: [{ type: 'curse', duration: 4, chance: 0.8 }] }
+                ]
+            },
+            
+            // Ice
+            ice_wolf: {
+                aiPattern: 'aggressive',
+                skills: [
+                    { name: 'Frost Fang', role: 'special', power: 1.2, cooldown: 2, element: 'ice', statusEffects: [{ type: 'slow', duration: 2, chance: 0.5 }] },
+                    { name: 'Pack Howl', role: 'buff', cooldown: 4, statusEffects: [{ type: 'speed_boost', duration: 2, chance: 1 }] }
+                ]
+            },
+            frost_giant: {
+                aiPattern: 'defensive',
+                skills: [
+                    { name: 'Glacial Smash', role: 'special', power: 1.5, cooldown: 3, element: 'ice', accuracy: 0.8, statusEffects: [{ type: 'stunned', duration: 1, chance: 0.3 }] },
+                    { name: 'Rime Mending', role: 'heal', healPercent: 0.15, cooldown: 5 }
+                ]
+            },
+            ice_elemental: {
+                aiPattern: 'tactical',
+                skills: [
+                    { name: 'Frost Bolt', role: 'special', power: 1.3, cooldown: 2, type: 'magic', element: 'ice', statusEffects: [{ type: 'frozen', duration: 1, chance: 0.2 }] },
+                    { name: 'Chilling Aura', role: 'debuff', cooldown: 3, type: 'magic', statusEffects: [{ type: 'slow', duration: 3, chance: 0.9 }] }
+                ]
+            },
+            yeti: {
+                aiPattern: 'aggressive',
+                skills: [
+                    { name: 'Maul', role: 'special', power: 1.4, cooldown: 3, statusEffects: [{ type: 'bleeding', duration: 3, chance: 0.3 }] },
+                    { name: 'Pound Chest', role: 'buff', cooldown: 4, statusEffects: [{ type: 'strength_boost', duration: 3, chance: 1 }] }
+                ]
+            },
+            
+            // Ruins
+            skeleton: {
+                aiPattern: 'defensive',
+                skills: [
+                    { name: 'Bone Crush', role: 'special', power: 1.2, cooldown: 2, statusEffects: [{ type: 'weakness', duration: 2, chance: 0.3 }] },
+                    { name: 'Reassemble', role: 'heal', healPercent: 0.15, cooldown: 5 }
+                ]
+            },
+            ghost: {
+                aiPattern: 'tactical',
+                skills: [
+                    { name: 'Soul Chill', role: 'special', power: 1.1, cooldown: 2, type: 'magic', element: 'dark', statusEffects: [{ type: 'curse', duration: 2, chance: 0.3 }] },
+                    { name: 'Terrifying Wail', role: 'debuff', cooldown: 3, statusEffects: [{ type: 'weakness', duration: 3, chance: 0.7 }] }
+                ]
+            },
+            gargoyle: {
+                aiPattern: 'defensive',
+                skills: [
+                    { name: 'Stone Dive', role: 'special', power: 1.4, cooldown: 3, statusEffects: [{ type: 'stunned', duration: 1, chance: 0.3 }] },
+                    { name: 'Mortar Mend', role: 'heal', healPercent: 0.15, cooldown: 5 }
+                ]
+            },
+            lich: {
+                aiPattern: 'tactical',
+                skills: [
+                    { name: 'Shadow Bolt', role: 'special', power: 1.4, cooldown: 2, type: 'magic', element: 'dark' },
+                    { name: 'Lich\'s Curse', role: 'debuff', cooldown: 4, type: 'magic', statusEffects: [{ type: 'curse', duration: 4, chance: 0.9 }] }
+                ]
+            }
+        };
+        
         console.log('⚔️ Combat system initialized');
     }
 
@@ -103,23 +325,34 @@ export class Combat {
     }
 
     /**
-     * Start a combat encounter
+     * Start a combat encounter against one enemy or a pack of them.
+     * Pass `options.seed` (or an `options.rng` instance) to make the fight reproducible:
+     * the same seed and the same player inputs always resolve identically.
      */
-    async startCombat(player, enemy, options = {}) {
-        console.log(`⚔️ Starting combat: ${player.name} vs ${enemy.name}`);
+    async startCombat(player, enemies, options = {}) {
+        const pack = Array.isArray(enemies) ? enemies : [enemies];
+        console.log(`⚔️ Starting combat: ${player.name} vs ${pack.map(enemy => enemy.name).join(', ')}`);
         
         try {
+            const { rng, seed, ...combatOptions } = options;
+            
             // Set up combat state
             this.player = this.cloneEntity(player);
-            this.enemy = this.cloneEntity(enemy);
-            this.combatOptions = { ...this.combatOptions, ...options };
+            this.enemies = this.labelEnemies(pack.map(enemy => this.cloneEntity(enemy)));
+            this.enemy = this.enemies[0];
+            this.targetIndex = 0;
+            this.combatOptions = { isBoss: false, allowFlee: true, timeLimit: null, ...combatOptions };
+            this.rng = rng || new SeededRandom(seed ?? SeededRandom.generateSeed());
+            this.actionHistory = [];
             this.isActive = true;
-            this.currentTurn = 'player';
-            this.turnCounter = 1;
+            this.turnCounter = 0;
             
-            // Initialize status effects
+            // Initialize status effects, and give each enemy its kit (with its own cooldowns)
             this.player.statusEffects = new Map();
-            this.enemy.statusEffects = new Map();
+            this.enemies.forEach(enemy => {
+                enemy.statusEffects = new Map();
+                enemy.skills = this.createEnemySkills(enemy);
+            });
             
             // Initialize boss data if needed
             if (this.combatOptions.isBoss) {
@@ -127,34 +360,160 @@ export class Combat {
             }
             
             // Set up UI
-            this.gameEngine.ui.initializeCombat(this.player, this.enemy, this.combatOptions);
+            this.gameEngine.ui.initializeCombat(this.player, this.enemies, this.combatOptions);
             this.gameEngine.ui.showCombatView();
             
             // Log combat start
-            this.logMessage(`Combat begins! ${this.player.name} faces ${this.enemy.name}!`, 'info');
+            this.logMessage(`Combat begins! ${this.player.name} faces ${this.describeEnemies()}!`, 'info');
             
-            // Determine first turn based on speed
-            if (this.enemy.speed > this.player.speed) {
-                this.currentTurn = 'enemy';
-                this.logMessage(`${this.enemy.name} is faster and goes first!`, 'info');
-                setTimeout(() => this.executeEnemyTurn(), 1000);
-            } else {
+            // Everyone's first turn comes due according to their speed
+            this.initializeTimeline();
+            this.actingId = this.getNextActor();
+            if (this.actingId === 'player') {
+                this.turnCounter = 1;
                 this.logMessage(`${this.player.name} goes first!`, 'info');
+            } else {
+                this.logMessage(`${this.enemies[this.actingId].name} is faster and goes first!`, 'info');
             }
             
-            // Update combat UI
-            this.updateCombatUI();
-            
-            return new Promise((resolve) => {
+            const combatPromise = new Promise((resolve) => {
                 this.combatResolve = resolve;
             });
             
+            this.startTurn();
+            
+            return combatPromise;
+        
         } catch (error) {
             console.error('❌ Error starting combat:', error);
             throw error;
         }
     }
 
+    /**
+     * Tell apart enemies of the same kind ("Goblin A", "Goblin B") and give each its slot
+     */
+    labelEnemies(enemies) {
+        const counts = {};
+        enemies.forEach(enemy => {
+            counts[enemy.name] = (counts[enemy.name] || 0) + 1;
+        });
+        
+        const seen = {};
+        enemies.forEach((enemy, index) => {
+            enemy.combatIndex = index;
+            if (counts[enemy.name] > 1) {
+                const letter = String.fromCharCode(65 + (seen[enemy.name] || 0));
+                seen[enemy.name] = (seen[enemy.name] || 0) + 1;
+                enemy.name = `${enemy.name} ${letter}`;
+            }
+        });
+        
+        return enemies;
+    }
+
+    /**
+     * Enemy names for the log ("Wolf A, Wolf B and Spider")
+     */
+    describeEnemies() {
+        const names = this.enemies.map(enemy => enemy.name);
+        if (names.length === 1) return names[0];
+        
+        return `${names.slice(0, -1).join(', ')} and ${names[names.length - 1]}`;
+    }
+
+    /**
+     * Resume a fight from `serializeState()` output (e.g. after reloading the page).
+     * Resolves like `startCombat`.
+     */
+    async resumeCombat(state) {
+        console.log(`⚔️ Resuming combat on turn ${state.turnCounter}`);
+        
+        this.player = this.gameEngine.entities.loadCharacter(state.player);
+        this.enemies = state.enemies.map(data => this.reviveEntity(data));
+        this.targetIndex = state.targetIndex || 0;
+        this.combatOptions = { ...state.combatOptions };
+        this.rng = new SeededRandom(state.rng.seed);
+        this.rng.setState(state.rng);
+        this.actionHistory = [...state.actionHistory];
+        this.turnCounter = state.turnCounter;
+        this.isActive = true;
+        
+        this.initiative = { ...state.initiative };
+        this.actingId = state.actingId;
+        
+        this.gameEngine.ui.initializeCombat(this.player, this.enemies, this.combatOptions);
+        this.gameEngine.ui.showCombatView();
+        this.logMessage(`Combat resumes! ${this.player.name} faces ${this.describeEnemies()}!`, 'info');
+        
+        const combatPromise = new Promise((resolve) => {
+            this.combatResolve = resolve;
+        });
+        
+        // Pick up whoever's turn it was (an enemy may still owe its move)
+        this.startTurn();
+        
+        return combatPromise;
+    }
+
+    /**
+     * Snapshot the fight for the run save (Maps and Sets become arrays)
+     */
+    serializeState() {
+        if (!this.isActive) return null;
+        
+        return {
+            player: this.player.toJSON(),
+            enemies: this.enemies.map(enemy => this.serializeEntity(enemy)),
+            targetIndex: this.targetIndex,
+            combatOptions: { ...this.combatOptions },
+            rng: this.rng.getState(),
+            actionHistory: [...this.actionHistory],
+            currentTurn: this.currentTurn,
+            initiative: { ...this.initiative },
+            actingId: this.actingId,
+            turnCounter: this.turnCounter
+        };
+    }
+
+    /**
+     * Plain-data copy of an enemy
+     */
+    serializeEntity(entity) {
+        const data = {
+            ...entity,
+            statusEffects: [...entity.statusEffects.entries()]
+        };
+        
+        if (entity.bossData) {
+            data.bossData = {
+                ...entity.bossData,
+                triggeredPhases: [...entity.bossData.triggeredPhases]
+            };
+        }
+        
+        return JSON.parse(JSON.stringify(data));
+    }
+
+    /**
+     * Rebuild an enemy saved by `serializeEntity`
+     */
+    reviveEntity(data) {
+        const entity = {
+            ...data,
+            statusEffects: new Map(data.statusEffects || [])
+        };
+        
+        if (data.bossData) {
+            entity.bossData = {
+                ...data.bossData,
+                triggeredPhases: new Set(data.bossData.triggeredPhases || [])
+            };
+        }
+        
+        return entity;
+    }
+
     /**
      * Initialize boss-specific mechanics
      */
@@ -163,8 +522,17 @@ export class Combat {
         const bossData = this.bossPhases[bossType];
         
         if (bossData) {
+            const phases = [...bossData.phases];
+            
+            // Bosses scaled past difficulty 1.5 (Entities.scaleBoss) also fly into a rage when low
+            if ((this.enemy.abilities || []).includes('enraged')) {
+                phases.push({ hpThreshold: 0.3, abilities: ['enraged'], message: `${this.enemy.name} becomes enraged!` });
+                phases.sort((a, b) => b.hpThreshold - a.hpThreshold);
+            }
+            
             this.enemy.bossData = {
                 ...bossData,
+                phases,
                 currentPhase: 0,
                 triggeredPhases: new Set()
             };
@@ -184,20 +552,19 @@ export class Combat {
             return false;
         }
         
+        // Only skills in the loadout can be used
         const skill = this.player.skills[skillIndex];
-        if (!skill || !this.canUseSkill(skill)) {
+        if (!skill || !skill.unlocked || !skill.inLoadout || !this.canUseSkill(skill)) {
             console.warn('⚠️ Cannot use skill');
             return false;
         }
         
         console.log(`🎯 Player uses ${skill.name}`);
+        this.recordAction('skill', skillIndex);
         
         try {
-            // Execute the skill
-            const result = await this.executeSkill(this.player, this.enemy, skill);
-            
-            // Apply skill results
-            this.applySkillResult(result);
+            // Resolve the skill against its targets
+            await this.performSkill(this.player, skill, this.getTarget());
             
             // End player turn
             this.endPlayerTurn();
@@ -210,6 +577,117 @@ export class Combat {
         }
     }
 
+    /**
+     * Aim the player's skills at another enemy (clicking its sprite). Doesn't use the turn.
+     */
+    selectTarget(enemyIndex) {
+        const enemy = this.enemies[enemyIndex];
+        if (!this.isActive || !enemy || enemy.hp <= 0) {
+            return false;
+        }
+        
+        this.targetIndex = enemyIndex;
+        this.recordAction('target', enemyIndex);
+        
+        if (this.currentTurn === 'player') {
+            this.enemy = enemy;
+        }
+        
+        this.updateCombatUI();
+        return true;
+    }
+
+    /**
+     * The enemy the player is aiming at, moving on to the next one standing if it has fallen
+     */
+    getTarget() {
+        const current = this.enemies[this.targetIndex];
+        if (current && current.hp > 0) return current;
+        
+        const next = this.getLivingEnemies()[0] || null;
+        if (next) {
+            this.targetIndex = next.combatIndex;
+        }
+        
+        return next;
+    }
+
+    /**
+     * Enemies still in the fight
+     */
+    getLivingEnemies() {
+        return this.enemies.filter(enemy => enemy.hp > 0);
+    }
+
+    /**
+     * Use a consumable from the run inventory as the player's action
+     */
+    async useItem(inventoryIndex) {
+        if (!this.isActive || this.currentTurn !== 'player') {
+            console.warn('⚠️ Not player\'s turn');
+            return false;
+        }
+        
+        if (this.hasStatusFlag(this.player, 'skipTurn')) {
+            this.logMessage('You are unable to act!', 'warning');
+            return false;
+        }
+        
+        const item = this.gameEngine.activeRun.inventory[inventoryIndex];
+        if (!this.gameEngine.items.isUsable(item, true)) {
+            console.warn('⚠️ Cannot use item');
+            return false;
+        }
+        
+        console.log(`🧪 Player uses ${item.name}`);
+        this.recordAction('item', inventoryIndex);
+        
+        const outcome = this.gameEngine.items.applyConsumable(item, this.player);
+        this.gameEngine.removeFromInventory(inventoryIndex);
+        
+        this.logMessage(`${this.player.name} uses ${item.name}!`, 'info');
+        
+        if (outcome.healed > 0) {
+            this.logMessage(`${this.player.name} recovers ${outcome.healed} HP!`, 'heal');
+            this.gameEngine.ui.showHealEffect(this.player, outcome.healed);
+        }
+        if (outcome.restored > 0) {
+            this.logMessage(`${this.player.name} recovers ${outcome.restored} MP!`, 'heal');
+        }
+        outcome.cured.forEach(type => {
+            this.logMessage(`${this.player.name} is cured of ${type}!`, 'heal');
+        });
+        if (outcome.status) {
+            this.applyStatusEffect(this.player, outcome.status.type, outcome.status.duration);
+        }
+        
+        // Using an item takes the turn
+        this.endPlayerTurn();
+        
+        return true;
+    }
+
+    /**
+     * Brace for the enemies' next moves (free, always available)
+     */
+    defend() {
+        if (!this.isActive || this.currentTurn !== 'player') {
+            console.warn('⚠️ Not player\'s turn');
+            return false;
+        }
+        
+        console.log('🛡️ Player defends');
+        this.recordAction('defend');
+        
+        this.logMessage(`${this.player.name} takes a defensive stance!`, 'info');
+        // Ending this turn ticks one off, so it holds until the player's next turn
+        this.applyStatusEffect(this.player, 'defense_boost', 2, this.player);
+        
+        this.endPlayerTurn();
+        
+        return true;
+    }
+
     /**
      * Check if skill can be used
      */
@@ -227,7 +705,7 @@ export class Combat {
         }
         
         // Check status effects
-        if (this.player.statusEffects.has('stunned') || this.player.statusEffects.has('frozen')) {
+        if (this.hasStatusFlag(this.player, 'skipTurn')) {
             this.logMessage('You are unable to act!', 'warning');
             return false;
         }
@@ -236,7 +714,61 @@ export class Combat {
     }
 
     /**
-     * Execute a skill
+     * Resolve a skill against everything it targets, once per hit, then pay for it.
+     * The caster is healed once per cast however many hits land.
+     */
+    async performSkill(caster, skill, primaryTarget = null) {
+        const targets = this.getSkillTargets(caster, skill, primaryTarget);
+        const hits = skill.hits || 1;
+        let firstHit = true;
+        
+        if (hits > 1) {
+            this.logMessage(`${caster.name}'s ${skill.name} strikes ${hits} times!`, 'info');
+        }
+        
+        for (const target of targets) {
+            // Later hits on a fallen enemy are wasted
+            for (let hit = 0; hit < hits && this.isActive && target.hp > 0; hit++) {
+                const result = await this.executeSkill(caster, target, skill);
+                if (!firstHit) {
+                    result.healing = 0;
+                }
+                
+                this.applySkillResult(result);
+                firstHit = false;
+            }
+        }
+        
+        this.paySkillCost(caster, skill);
+    }
+
+    /**
+     * What a skill targets: its declared `target`, or inferred for skills that predate it
+     */
+    getSkillTargetType(skill) {
+        if (skill.target) return skill.target;
+        
+        return skill.damage > 0 || skill.type === 'debuff' ? 'enemy' : 'self';
+    }
+
+    /**
+     * Entities a skill resolves against
+     */
+    getSkillTargets(caster, skill, primaryTarget = null) {
+        const opponents = caster === this.player ? this.getLivingEnemies() : [this.player];
+        
+        switch (this.getSkillTargetType(skill)) {
+            case 'self':
+                return [caster];
+            case 'all_enemies':
+                return opponents;
+            default:
+                return [primaryTarget || opponents[0]];
+        }
+    }
+
+    /**
+     * Execute a skill (a single hit against a single target)
      */
     async executeSkill(caster, target, skill) {
         const result = {
@@ -248,12 +780,14 @@ export class Combat {
             statusEffects: [],
             critical: false,
             hit: true,
+            matchup: null,
             message: ''
         };
         
         // Calculate base damage
         if (skill.damage > 0) {
             result.damage = this.calculateDamage(caster, target, skill);
+            result.matchup = this.getElementalMatchup(target, skill);
             result.critical = this.checkCritical(caster, skill);
             result.hit = this.checkHit(caster, target, skill);
             
@@ -276,7 +810,7 @@ export class Combat {
         // Apply status effects
         if (skill.statusEffects && skill.statusEffects.length > 0) {
             skill.statusEffects.forEach(effect => {
-                if (Math.random() < effect.chance) {
+                if (this.random() < effect.chance) {
                     result.statusEffects.push(effect);
                 }
             });
@@ -292,18 +826,23 @@ export class Combat {
      * Apply skill result to combat
      */
     applySkillResult(result) {
-        const { skill, caster, target, damage, healing, statusEffects, critical, hit } = result;
+        const { skill, caster, target, damage, healing, statusEffects, critical, hit, matchup } = result;
         
         // Apply damage
         if (damage > 0 && hit) {
-            this.dealDamage(target, damage);
+            // Shields may soak part of the hit; report what got through
+            const dealt = this.dealDamage(target, damage);
+            const matchupText = matchup === 'weak' ? ' (weak!)' : matchup === 'resisted' ? ' (resisted)' : '';
             this.logMessage(
-                `${skill.name} deals ${damage} damage to ${target.name}${critical ? ' (Critical!)' : ''}!`,
+                `${skill.name} deals ${dealt} damage to ${target.name}${critical ? ' (Critical!)' : ''}${matchupText}!`,
                 'damage'
             );
             
             // Visual feedback
-            this.gameEngine.ui.showDamageEffect(target, damage, critical);
+            this.gameEngine.ui.showDamageEffect(target, dealt, critical, matchup);
+            
+            // Thorns hurt whoever struck
+            this.reflectDamage(target, caster, dealt);
         } else if (!hit) {
             this.logMessage(`${skill.name} misses ${target.name}!`, 'info');
         }
@@ -315,34 +854,49 @@ export class Combat {
             this.gameEngine.ui.showHealEffect(caster, healing);
         }
         
-        // Apply status effects
+        // Apply status effects (some land on the caster whatever the skill targets)
         statusEffects.forEach(effect => {
-            this.applyStatusEffect(target, effect.type, effect.duration);
+            const recipient = effect.target === 'self' ? caster : target;
+            this.applyStatusEffect(recipient, effect.type, effect.duration, caster);
         });
-        
-        // Consume mana and set cooldown
-        caster.mana -= skill.manaCost;
+    }
+
+    /**
+     * Send part of a hit back at the attacker if the defender has a `reflect` effect
+     */
+    reflectDamage(defender, attacker, damage) {
+        if (!this.isActive || attacker === defender || attacker.hp <= 0 || damage <= 0) return;
+        
+        const reflect = [...defender.statusEffects.keys()].reduce((total, type) =>
+            total + ((this.statusEffects[type] && this.statusEffects[type].effect.reflect) || 0), 0
+        );
+        const reflected = Math.floor(damage * reflect);
+        if (reflected <= 0) return;
+        
+        this.logMessage(`${defender.name}'s thorns deal ${reflected} damage to ${attacker.name}!`, 'damage');
+        const dealt = this.dealDamage(attacker, reflected);
+        this.gameEngine.ui.showDamageEffect(attacker, dealt, false);
+    }
+
+    /**
+     * Consume mana and set cooldown (enemies have no mana pool)
+     */
+    paySkillCost(caster, skill) {
+        if (skill.manaCost) {
+            caster.mana -= skill.manaCost;
+        }
         skill.currentCooldown = skill.cooldown;
     }
 
     /**
-     * Apply special skill effects (telegraphed attacks, area effects, etc.)
+     * Apply special skill effects (area effects, guaranteed hits, etc.)
      */
     async applySpecialSkillEffects(skill, result) {
         switch (skill.name.toLowerCase()) {
-            case 'charge':
-                // Telegraphed attack - enemy can see it coming
-                if (result.caster === this.enemy) {
-                    this.logMessage(`${this.enemy.name} prepares a devastating charge!`, 'warning');
-                    this.gameEngine.ui.showTelegraphWarning('charge', 2000);
-                    await this.delay(2000);
-                }
-                break;
-                
             case 'fireball':
                 // Area effect - can't be fully dodged
                 result.hit = true; // Fireball always hits (area effect)
-                if (Math.random() < 0.3) {
+                if (this.random() < 0.3) {
                     result.statusEffects.push({ type: 'burning', duration: 2 });
                 }
                 break;
@@ -351,7 +905,7 @@ export class Combat {
                 // Boss ability - affects entire battlefield
                 if (result.caster === this.enemy && this.enemy.isBoss) {
                     this.logMessage('An ice storm engulfs the battlefield!', 'warning');
-                    if (Math.random() < 0.4) {
+                    if (this.random() < 0.4) {
                         result.statusEffects.push({ type: 'frozen', duration: 1 });
                     }
                 }
@@ -368,40 +922,67 @@ export class Combat {
     /**
      * Calculate damage
      */
-    calculateDamage(attacker, defender, skill) {
+    calculateDamage(attacker, defender, skill, variance = null) {
         const baseDamage = skill.damage;
         const attackStat = this.getRelevantAttackStat(attacker, skill);
         const defenseStat = defender.defense;
         
         // Base damage calculation
-        let damage = baseDamage + (attackStat * skill.scalingFactor);
+        let damage = baseDamage + (attackStat * (skill.scalingFactor || 0));
         
         // Apply defense
         const damageReduction = defenseStat / (defenseStat + 100);
         damage *= (1 - damageReduction);
         
         // Apply random variance (±15%)
-        const variance = 0.85 + (Math.random() * 0.3);
-        damage *= variance;
+        damage *= variance ?? (0.85 + (this.random() * 0.3));
         
         // Apply status effect modifiers
-        if (attacker.statusEffects.has('strength_boost')) {
-            damage *= 1.2;
+        const attackerMods = this.getStatusModifiers(attacker);
+        damage *= attackerMods.attack / this.getStatusModifiers(defender).defense;
+        if (skill.type === 'magic') {
+            damage *= attackerMods.elemental;
         }
-        if (attacker.statusEffects.has('weakness')) {
-            damage *= 0.7;
-        }
-        if (defender.statusEffects.has('defense_boost')) {
-            damage *= 0.7;
+        
+        // Faction or passive affinity with the skill's element
+        if (skill.element && this.elementDamageBonuses[skill.element]) {
+            damage *= this.getBonus(attacker, this.elementDamageBonuses[skill.element]);
         }
         
+        // Target's weakness or resistance to the element
+        damage *= this.elementalMatchups[this.getElementalMatchup(defender, skill)] || 1;
+        
         return Math.max(1, Math.floor(damage));
     }
 
+    /**
+     * How a skill's element fares against a target: 'weak', 'resisted' or null
+     */
+    getElementalMatchup(target, skill) {
+        if (!skill.element) return null;
+        
+        if ((target.weaknesses || []).includes(skill.element)) return 'weak';
+        if ((target.resistances || []).includes(skill.element)) return 'resisted';
+        
+        return null;
+    }
+
+    /**
+     * Expected damage without variance, for previews (does not use the random stream)
+     */
+    estimateDamage(attacker, defender, skill) {
+        return this.calculateDamage(attacker, defender, skill, 1);
+    }
+
     /**
      * Get relevant attack stat for skill
      */
     getRelevantAttackStat(entity, skill) {
+        // Enemies only have a flat attack stat
+        if (entity.strength === undefined) {
+            return entity.attack || 0;
+        }
+        
         switch (skill.type) {
             case 'physical': return entity.strength;
             case 'magic': return entity.intelligence;
@@ -415,17 +996,13 @@ export class Combat {
      */
     calculateHealing(caster, skill) {
         const baseHealing = skill.healing;
-        const relevantStat = skill.type === 'magic' ? caster.intelligence : caster.vitality;
+        const relevantStat = (skill.type === 'magic' ? caster.intelligence : caster.vitality) || 0;
         
-        let healing = baseHealing + (relevantStat * skill.scalingFactor);
+        let healing = baseHealing + (relevantStat * (skill.scalingFactor || 0));
         
-        // Apply status effects
-        if (caster.statusEffects.has('blessed')) {
-            healing *= 1.3;
-        }
-        if (caster.statusEffects.has('curse')) {
-            healing *= 0.7;
-        }
+        // Apply status effects and faction/passive bonuses
+        healing *= this.getStatusModifiers(caster).healing;
+        healing *= this.getBonus(caster, 'healingBonus');
         
         return Math.floor(healing);
     }
@@ -437,14 +1014,13 @@ export class Combat {
         let critChance = skill.criticalChance || 0.1;
         
         // Agility affects crit chance
-        critChance += attacker.agility * 0.001;
+        critChance += (attacker.agility || 0) * 0.001;
         
-        // Status effects
-        if (attacker.statusEffects.has('focused')) {
-            critChance *= 1.5;
-        }
+        // Status effects and faction/passive bonuses
+        critChance *= this.getStatusModifiers(attacker).critChance;
+        critChance *= this.getBonus(attacker, 'criticalBonus');
         
-        return Math.random() < critChance;
+        return this.random() < critChance;
     }
 
     /**
@@ -453,27 +1029,31 @@ export class Combat {
     checkHit(attacker, defender, skill) {
         let hitChance = skill.accuracy || 0.9;
         
+        const attackerStats = this.getEffectiveStats(attacker);
+        const defenderStats = this.getEffectiveStats(defender);
+        
         // Speed affects hit/dodge chance
-        const speedDiff = attacker.speed - defender.speed;
+        const speedDiff = attackerStats.speed - defenderStats.speed;
         hitChance += speedDiff * 0.01;
         
         // Status effects
-        if (defender.statusEffects.has('blinded')) {
-            hitChance *= 1.3;
-        }
-        if (defender.statusEffects.has('speed_boost')) {
-            hitChance *= 0.8;
-        }
+        hitChance *= attackerStats.modifiers.accuracy / defenderStats.modifiers.evasion;
         
-        return Math.random() < Math.max(0.1, Math.min(0.95, hitChance));
+        return this.random() < Math.max(0.1, Math.min(0.95, hitChance));
     }
 
     /**
      * Deal damage to entity
      */
     dealDamage(target, damage) {
+        damage = this.absorbDamage(target, damage);
         target.hp = Math.max(0, target.hp - damage);
         
+        // A resurrection effect brings the target back once
+        if (target.hp <= 0 && this.hasStatusFlag(target, 'revive')) {
+            this.resurrect(target);
+        }
+        
         // Check for death
         if (target.hp <= 0) {
             this.logMessage(`${target.name} is defeated!`, 'info');
@@ -481,14 +1061,71 @@ export class Combat {
             if (target === this.player) {
                 this.endCombat(false, 'Player defeated');
             } else {
-                this.endCombat(true, 'Enemy defeated');
+                this.handleEnemyDefeated(target);
             }
         }
         
         // Check boss phase transitions
-        if (target.isBoss && target.bossData) {
+        if (this.isActive && target.hp > 0 && target.isBoss && target.bossData) {
             this.checkBossPhaseTransition(target);
         }
+        
+        return damage;
+    }
+
+    /**
+     * Take a fallen enemy out of the fight; the player wins once the whole pack is down
+     */
+    handleEnemyDefeated(enemy) {
+        enemy.intent = null;
+        enemy.telegraph = null;
+        enemy.statusEffects.clear();
+        
+        if (this.getLivingEnemies().length === 0) {
+            this.endCombat(true, 'Enemy defeated');
+        }
+    }
+
+    /**
+     * Let shields soak up incoming damage, returning what gets through
+     */
+    absorbDamage(target, damage) {
+        if (damage <= 0) return damage;
+        
+        if (this.hasStatusFlag(target, 'immune')) {
+            this.logMessage(`${target.name}'s divine shield absorbs the blow!`, 'info');
+            return 0;
+        }
+        
+        if (this.hasStatusFlag(target, 'manaShield') && target.mana > 0) {
+            const absorbed = Math.min(damage, target.mana);
+            target.mana -= absorbed;
+            this.logMessage(`${target.name}'s mana shield absorbs ${absorbed} damage!`, 'info');
+            
+            if (target.mana <= 0) {
+                target.statusEffects.delete('mana_shield');
+                this.logMessage(`${target.name}'s mana shield shatters!`, 'warning');
+            }
+            
+            return damage - absorbed;
+        }
+        
+        return damage;
+    }
+
+    /**
+     * Spend a resurrection effect to come back from 0 HP
+     */
+    resurrect(target) {
+        const [type, active] = [...target.statusEffects.entries()].find(([effectType]) =>
+            this.statusEffects[effectType]?.effect?.revive
+        );
+        
+        target.statusEffects.delete(type);
+        target.hp = Math.max(1, Math.floor(target.maxHp * (active.effect?.revive || 0.3)));
+        
+        this.logMessage(`${target.name} is resurrected with ${target.hp} HP!`, 'heal');
+        this.gameEngine.ui.showHealEffect(target, target.hp);
     }
 
     /**
@@ -503,42 +1140,253 @@ export class Combat {
     /**
      * Apply status effect
      */
-    applyStatusEffect(target, effectType, duration) {
-        const resistance = target.statusResistance || 0;
+    applyStatusEffect(target, effectType, duration, source = null) {
+        const template = this.statusEffects[effectType] || {};
+        
+        // Purified targets shrug off new debuffs for the rest of the effect
+        if (template.negative && this.hasStatusFlag(target, 'cleanse')) {
+            this.logMessage(`${target.name} is protected from ${effectType}!`, 'info');
+            return;
+        }
+        
+        // Resistance only works against effects from others
+        const resistance = source === target ? 0 : (target.statusResistance || 0);
         
-        if (Math.random() < resistance) {
+        if (this.random() < resistance) {
             this.logMessage(`${target.name} resists ${effectType}!`, 'info');
             return;
         }
         
-        target.statusEffects.set(effectType, {
-            ...this.statusEffects[effectType],
-            duration: duration
+        const existing = target.statusEffects.get(effectType);
+        
+        if (!existing) {
+            target.statusEffects.set(effectType, { ...template, duration, stacks: 1 });
+            this.logMessage(`${target.name} is affected by ${effectType}!`, 'warning');
+        } else {
+            switch (template.stacking) {
+                case 'unique':
+                    this.logMessage(`${target.name} is already affected by ${effectType}.`, 'info');
+                    return;
+                    
+                case 'extend':
+                    existing.duration += duration;
+                    this.logMessage(`${target.name}'s ${effectType} is extended!`, 'warning');
+                    break;
+                    
+                case 'stack':
+                    existing.stacks = Math.min((existing.stacks || 1) + 1, template.maxStacks || 1);
+                    existing.duration = Math.max(existing.duration, duration);
+                    this.logMessage(`${target.name}'s ${effectType} intensifies (x${existing.stacks})!`, 'warning');
+                    break;
+                    
+                default: // refresh
+                    existing.duration = Math.max(existing.duration, duration);
+                    this.logMessage(`${target.name}'s ${effectType} is refreshed!`, 'warning');
+            }
+        }
+        
+        // Purify cleans off everything negative when it lands
+        if (template.effect && template.effect.cleanse) {
+            this.removeNegativeEffects(target);
+        }
+    }
+
+    /**
+     * Remove every negative status effect from an entity
+     */
+    removeNegativeEffects(entity) {
+        [...entity.statusEffects.keys()].forEach(type => {
+            if (this.statusEffects[type] && this.statusEffects[type].negative) {
+                entity.statusEffects.delete(type);
+                this.logMessage(`${entity.name} is cleansed of ${type}.`, 'heal');
+            }
+        });
+    }
+
+    /**
+     * Combine the multipliers of every active status effect on an entity
+     */
+    getStatusModifiers(entity) {
+        const modifiers = {
+            attack: 1, defense: 1, speed: 1,
+            accuracy: 1, evasion: 1, critChance: 1,
+            healing: 1, elemental: 1
+        };
+        
+        entity.statusEffects.forEach((active, type) => {
+            const effect = (this.statusEffects[type] && this.statusEffects[type].effect) || {};
+            
+            Object.entries(effect).forEach(([key, rawValue]) => {
+                if (typeof rawValue !== 'number') return;
+                
+                // Stacked effects compound; stealth training makes stealth stronger
+                let value = Math.pow(rawValue, active.stacks || 1);
+                if (type === 'stealth') {
+                    value = 1 + (value - 1) * this.getBonus(entity, 'stealthBonus');
+                }
+                
+                if (key === 'allStats') {
+                    modifiers.attack *= value;
+                    modifiers.defense *= value;
+                    modifiers.speed *= value;
+                } else if (key in modifiers) {
+                    modifiers[key] *= value;
+                }
+            });
+        });
+        
+        return modifiers;
+    }
+
+    /**
+     * Faction and passive multiplier an entity gets for a bonus (1 for enemies)
+     */
+    getBonus(entity, bonus) {
+        return typeof entity.getBonus === 'function' ? entity.getBonus(bonus) : 1;
+    }
+
+    /**
+     * An entity's attack, defense and speed after status effects
+     */
+    getEffectiveStats(entity) {
+        const modifiers = this.getStatusModifiers(entity);
+        
+        return {
+            attack: Math.floor((entity.attack || 0) * modifiers.attack),
+            defense: Math.floor((entity.defense || 0) * modifiers.defense),
+            speed: Math.floor((entity.speed || 0) * modifiers.speed),
+            modifiers
+        };
+    }
+
+    /**
+     * Check whether any active effect on the entity carries a behavior flag
+     */
+    hasStatusFlag(entity, flag) {
+        return [...entity.statusEffects.keys()].some(type =>
+            this.statusEffects[type] && this.statusEffects[type].effect && this.statusEffects[type].effect[flag]
+        );
+    }
+
+    /**
+     * Schedule everyone's first turn: one turn length divided by their speed from now
+     */
+    initializeTimeline() {
+        this.initiative = { player: this.getTurnDelay(this.player) };
+        this.enemies.forEach(enemy => {
+            this.initiative[enemy.combatIndex] = this.getTurnDelay(enemy);
         });
+    }
+
+    /**
+     * Time between a combatant's turns at its current (effective) speed
+     */
+    getTurnDelay(entity) {
+        return this.turnLength / Math.max(1, this.getEffectiveStats(entity).speed);
+    }
+
+    /**
+     * Player or enemy behind an actor id
+     */
+    getActor(actorId) {
+        return actorId === 'player' ? this.player : this.enemies[actorId];
+    }
+
+    /**
+     * Whoever's turn comes due first on a timeline (the player, then earlier enemies, win ties)
+     */
+    getNextActor(initiative = this.initiative) {
+        const actors = ['player', ...this.getLivingEnemies().map(enemy => enemy.combatIndex)];
+        
+        return actors.reduce((next, actorId) =>
+            initiative[actorId] < initiative[next] ? actorId : next
+        );
+    }
+
+    /**
+     * The next `count` turns as things stand (speed changes later will reshuffle them),
+     * starting with the current actor
+     */
+    getTurnPreview(count = 6) {
+        const initiative = { ...this.initiative };
+        const preview = [];
+        
+        while (preview.length < count) {
+            const actorId = this.getNextActor(initiative);
+            preview.push(actorId);
+            initiative[actorId] += this.getTurnDelay(this.getActor(actorId));
+        }
+        
+        return preview;
+    }
+
+    /**
+     * Push the current actor back along the timeline and hand the turn to whoever is due next
+     */
+    advanceTurn() {
+        if (!this.isActive) return;
+        
+        this.initiative[this.actingId] += this.getTurnDelay(this.getActor(this.actingId));
+        this.actingId = this.getNextActor();
+        
+        if (this.actingId === 'player') {
+            this.turnCounter++;
+        }
+        
+        this.startTurn();
+    }
+
+    /**
+     * Begin the turn of whoever is due on the timeline
+     */
+    startTurn() {
+        if (this.actingId === 'player') {
+            this.currentTurn = 'player';
+            
+            // Decide what each enemy will do next so the player can see it coming
+            this.rollEnemyIntents();
+            this.enemy = this.getTarget();
+            
+            this.updateCombatUI();
+            this.logMessage(`Turn ${this.turnCounter} - Your turn!`, 'info');
+            
+            // A stunned or frozen player loses the turn; effects and cooldowns still tick down
+            if (this.hasStatusFlag(this.player, 'skipTurn')) {
+                this.logMessage(`${this.player.name} is unable to act!`, 'warning');
+                this.endPlayerTurn();
+                return;
+            }
+        } else {
+            this.currentTurn = 'enemy';
+            this.enemy = this.enemies[this.actingId];
+            this.updateCombatUI();
+            
+            // Execute enemy turn after short delay
+            setTimeout(() => {
+                if (this.isActive) {
+                    this.executeEnemyTurn();
+                }
+            }, 1500);
+        }
         
-        this.logMessage(`${target.name} is affected by ${effectType}!`, 'warning');
+        this.gameEngine.saveActiveRun();
     }
 
     /**
      * End player turn
      */
     endPlayerTurn() {
+        // The action may have ended the fight
+        if (!this.isActive) return;
+        
         // Process player status effects
         this.processStatusEffects(this.player);
+        if (!this.isActive) return;
         
         // Reduce skill cooldowns
         this.updateCooldowns(this.player);
         
-        // Switch to enemy turn
-        this.currentTurn = 'enemy';
-        this.updateCombatUI();
-        
-        // Execute enemy turn after short delay
-        setTimeout(() => {
-            if (this.isActive) {
-                this.executeEnemyTurn();
-            }
-        }, 1500);
+        this.advanceTurn();
     }
 
     /**
@@ -552,18 +1400,41 @@ export class Combat {
         console.log(`🤖 Enemy turn: ${this.enemy.name}`);
         
         try {
+            // The intent shown during the player's turn is spent either way
+            const intent = this.enemy.intent;
+            this.enemy.intent = null;
+            
             // Check if enemy can act
-            if (this.enemy.statusEffects.has('stunned') || this.enemy.statusEffects.has('frozen')) {
+            if (this.hasStatusFlag(this.enemy, 'skipTurn')) {
                 this.logMessage(`${this.enemy.name} is unable to act!`, 'info');
+                this.interruptTelegraph();
                 this.endEnemyTurn();
                 return;
             }
             
-            // Choose action based on AI
-            const action = this.chooseEnemyAction();
-            
-            // Execute the action
-            await this.executeEnemyAction(action);
+            if (this.enemy.telegraph && this.enemy.telegraph.turn === this.turnCounter) {
+                // However fast the enemy is, the player gets a turn to answer a wind-up
+                this.logMessage(`${this.enemy.name} is still gathering power...`, 'warning');
+            } else if (this.enemy.telegraph) {
+                // A heavy attack wound up last turn lands now
+                await this.releaseTelegraphedAttack();
+            } else {
+                // Commit to the announced intent, unless taunted into a plain attack
+                let action;
+                if (this.hasStatusFlag(this.enemy, 'forceAttack')) {
+                    this.logMessage(`${this.enemy.name} is taunted and attacks!`, 'info');
+                    action = { type: 'attack', skill: this.getEnemyBasicAttack() };
+                } else {
+                    action = intent ? this.resolveEnemyIntent(intent) : this.chooseEnemyAction();
+                }
+                
+                // Heavy attacks are announced instead of executed
+                if (action.skill && action.skill.telegraph) {
+                    this.telegraphAttack(action.skill);
+                } else {
+                    await this.executeEnemyAction(action);
+                }
+            }
             
             // End enemy turn
             this.endEnemyTurn();
@@ -589,19 +1460,27 @@ export class Combat {
             }
         }
         
-        // Determine AI pattern based on enemy type
+        // Determine AI pattern from the enemy's kit, falling back to its type
+        const kit = this.enemySkillKits[enemy.type];
         let aiPattern = this.aiPatterns.aggressive; // Default
         
-        if (enemy.type.includes('giant') || enemy.type.includes('tank')) {
+        if (kit && kit.aiPattern) {
+            aiPattern = this.aiPatterns[kit.aiPattern];
+        } else if (enemy.type.includes('giant') || enemy.type.includes('tank')) {
             aiPattern = this.aiPatterns.defensive;
         } else if (enemy.type.includes('mage') || enemy.type.includes('lich')) {
             aiPattern = this.aiPatterns.tactical;
-        } else if (enemy.type.includes('berserker') || enemy.hp < enemy.maxHp * 0.3) {
+        } else if (enemy.type.includes('berserker')) {
+            aiPattern = this.aiPatterns.berserker;
+        }
+        
+        // Cornered aggressive enemies go berserk; defensive and tactical ones keep their plan
+        if (aiPattern === this.aiPatterns.aggressive && enemy.hp < enemy.maxHp * 0.3) {
             aiPattern = this.aiPatterns.berserker;
         }
         
         // Choose action based on pattern
-        const random = Math.random();
+        const random = this.random();
         let cumulativeWeight = 0;
         
         for (let i = 0; i < aiPattern.priorities.length; i++) {
@@ -615,6 +1494,78 @@ export class Combat {
         return { type: 'attack', skill: this.getEnemyBasicAttack() };
     }
 
+    /**
+     * Give every enemy still standing an intent for its next turn (kept if it already has one)
+     */
+    rollEnemyIntents() {
+        const acting = this.enemy;
+        
+        this.getLivingEnemies().forEach(enemy => {
+            if (enemy.intent) return;
+            
+            this.enemy = enemy;
+            this.rollEnemyIntent();
+        });
+        
+        this.enemy = acting;
+    }
+
+    /**
+     * Roll the enemy's next action now and store it as a displayable intent.
+     * The intent keeps the skill's index so it survives a save and reload.
+     */
+    rollEnemyIntent() {
+        const enemy = this.enemy;
+        
+        if (enemy.telegraph) {
+            const skill = enemy.skills.find(known => known.id === enemy.telegraph.skillId);
+            enemy.intent = {
+                type: 'telegraph',
+                skillIndex: enemy.skills.indexOf(skill),
+                name: enemy.telegraph.name,
+                value: skill ? this.estimateDamage(enemy, this.player, skill) : null
+            };
+            return;
+        }
+        
+        // A taunted enemy can only plan a plain attack
+        const action = this.hasStatusFlag(enemy, 'forceAttack')
+            ? { type: 'attack', skill: this.getEnemyBasicAttack() }
+            : this.chooseEnemyAction();
+        const skill = action.skill || null;
+        
+        let value = null;
+        if (skill && skill.damage > 0) {
+            value = this.estimateDamage(enemy, this.player, skill);
+        } else if (action.type === 'heal' && skill) {
+            value = Math.floor(enemy.maxHp * (skill.healPercent || 0.2));
+        }
+        
+        enemy.intent = {
+            type: action.type,
+            skillIndex: skill ? enemy.skills.indexOf(skill) : -1,
+            name: skill ? skill.name : null,
+            windup: !!(skill && skill.telegraph),
+            value
+        };
+    }
+
+    /**
+     * Turn a stored intent back into an action
+     */
+    resolveEnemyIntent(intent) {
+        if (intent.type === 'defend') {
+            return { type: 'defend' };
+        }
+        
+        const skill = this.enemy.skills[intent.skillIndex];
+        if (intent.type === 'attack' || !skill) {
+            return { type: 'attack', skill: this.getEnemyBasicAttack() };
+        }
+        
+        return { type: intent.type, skill };
+    }
+
     /**
      * Get enemy action of specific type
      */
@@ -632,7 +1583,7 @@ export class Combat {
                 
             case 'heal':
                 if (this.enemy.hp < this.enemy.maxHp * 0.5 && this.enemyCanHeal()) {
-                    return { type: 'heal' };
+                    return { type: 'heal', skill: this.getEnemyHealSkill() };
                 }
                 return { type: 'attack', skill: this.getEnemyBasicAttack() };
                 
@@ -673,10 +1624,15 @@ export class Combat {
         switch (action.type) {
             case 'attack':
             case 'special':
-            case 'buff':
             case 'debuff':
-                const result = await this.executeSkill(this.enemy, this.player, action.skill);
-                this.applySkillResult(result);
+            case 'buff':
+                if (action.type !== 'attack') {
+                    this.logMessage(`${this.enemy.name} uses ${action.skill.name}!`, 'warning');
+                } else if (this.enemies.length > 1) {
+                    // In a pack, say which enemy is swinging
+                    this.logMessage(`${this.enemy.name} attacks!`, 'info');
+                }
+                await this.performSkill(this.enemy, action.skill, this.player);
                 break;
                 
             case 'defend':
@@ -685,31 +1641,83 @@ export class Combat {
                 break;
                 
             case 'heal':
-                const healAmount = Math.floor(this.enemy.maxHp * 0.2);
-                this.healEntity(this.enemy, healAmount);
-                this.logMessage(`${this.enemy.name} heals for ${healAmount} HP!`, 'heal');
+                const healSkill = action.skill;
+                const healAmount = this.healEntity(this.enemy, Math.floor(this.enemy.maxHp * (healSkill.healPercent || 0.2)));
+                healSkill.currentCooldown = healSkill.cooldown;
+                this.logMessage(`${this.enemy.name} uses ${healSkill.name} and heals for ${healAmount} HP!`, 'heal');
+                this.gameEngine.ui.showHealEffect(this.enemy, healAmount);
                 break;
         }
     }
 
+    /**
+     * Wind up a heavy attack: it is shown on the enemy panel and lands on the enemy's next turn
+     */
+    telegraphAttack(skill) {
+        this.enemy.telegraph = { skillId: skill.id, name: skill.name, turn: this.turnCounter };
+        
+        this.logMessage(`${this.enemy.name} prepares ${skill.name}! Defend, stun or evade to counter it.`, 'warning');
+        this.gameEngine.ui.showTelegraphWarning(skill.name, 2000);
+    }
+
+    /**
+     * Land the telegraphed attack, softened by whatever counter the player set up
+     */
+    async releaseTelegraphedAttack() {
+        const skill = this.enemy.skills.find(known => known.id === this.enemy.telegraph.skillId);
+        this.enemy.telegraph = null;
+        if (!skill) return;
+        
+        this.logMessage(`${this.enemy.name} unleashes ${skill.name}!`, 'warning');
+        const result = await this.executeSkill(this.enemy, this.player, skill);
+        
+        if (this.player.statusEffects.has('evasion_boost')) {
+            // Dodged outright
+            result.hit = false;
+            result.damage = 0;
+            result.statusEffects = [];
+            this.logMessage(`${this.player.name} saw it coming and evades!`, 'success');
+        } else if (this.player.statusEffects.has('defense_boost')) {
+            // Braced: half damage and no lingering effects
+            result.damage = Math.floor(result.damage / 2);
+            result.statusEffects = [];
+            this.logMessage(`${this.player.name} braces for the blow!`, 'success');
+        }
+        
+        this.applySkillResult(result);
+        this.paySkillCost(this.enemy, skill);
+    }
+
+    /**
+     * Cancel a wound-up attack because the enemy lost its turn (stun or freeze)
+     */
+    interruptTelegraph() {
+        if (!this.enemy.telegraph) return;
+        
+        const skill = this.enemy.skills.find(known => known.id === this.enemy.telegraph.skillId);
+        if (skill) {
+            skill.currentCooldown = skill.cooldown;
+        }
+        
+        this.logMessage(`${this.enemy.name}'s ${this.enemy.telegraph.name} is interrupted!`, 'success');
+        this.enemy.telegraph = null;
+    }
+
     /**
      * End enemy turn
      */
     endEnemyTurn() {
-        // Process enemy status effects
+        // The enemy's action may have ended the fight
+        if (!this.isActive) return;
+        
+        // Process enemy status effects (a damage tick may finish it off)
         this.processStatusEffects(this.enemy);
+        if (!this.isActive) return;
         
         // Reduce skill cooldowns
         this.updateCooldowns(this.enemy);
         
-        // Switch to player turn
-        this.currentTurn = 'player';
-        this.turnCounter++;
-        
-        // Update UI
-        this.updateCombatUI();
-        
-        this.logMessage(`Turn ${this.turnCounter} - Your turn!`, 'info');
+        this.advanceTurn();
     }
 
     /**
@@ -719,6 +1727,9 @@ export class Combat {
         const expiredEffects = [];
         
         entity.statusEffects.forEach((effect, type) => {
+            // A previous tick may have ended the fight (or finished this entity off)
+            if (!this.isActive || entity.hp <= 0) return;
+            
             // Apply effect
             this.applyStatusEffectTick(entity, type, effect);
             
@@ -747,16 +1758,17 @@ export class Combat {
         
         const effectData = template.effect;
         
-        // Damage over time
+        // Damage over time (scaled by stacks)
         if (effectData.damagePerTurn) {
-            const damage = Math.floor(entity.maxHp * effectData.damagePerTurn);
-            this.dealDamage(entity, damage);
-            this.logMessage(`${entity.name} takes ${damage} ${effectType} damage!`, 'damage');
+            const stacks = effect.stacks || 1;
+            const damage = Math.floor(entity.maxHp * effectData.damagePerTurn * stacks);
+            const dealt = this.dealDamage(entity, damage);
+            this.logMessage(`${entity.name} takes ${dealt} ${effectType} damage${stacks > 1 ? ` (x${stacks})` : ''}!`, 'damage');
         }
         
         // Healing over time
         if (effectData.healPerTurn) {
-            const healing = Math.floor(entity.maxHp * effectData.healPerTurn);
+            const healing = Math.floor(entity.maxHp * effectData.healPerTurn * this.getBonus(entity, 'regenerationBonus'));
             this.healEntity(entity, healing);
             this.logMessage(`${entity.name} heals ${healing} HP from ${effectType}!`, 'heal');
         }
@@ -794,9 +1806,15 @@ export class Combat {
                 this.logMessage(phase.message, 'warning');
                 this.gameEngine.ui.showBossPhaseTransition(phase.message);
                 
-                // Add phase abilities
+                // Add phase abilities (learned as skills so they keep their own cooldowns)
                 if (phase.abilities) {
                     boss.phaseAbilities = [...(boss.phaseAbilities || []), ...phase.abilities];
+                    phase.abilities.forEach(abilityName => {
+                        const skill = this.getBossSkill(abilityName, boss);
+                        if (skill && !boss.skills.some(known => known.id === abilityName)) {
+                            boss.skills.push(skill);
+                        }
+                    });
                 }
                 
                 break;
@@ -812,67 +1830,96 @@ export class Combat {
             return null;
         }
         
-        // 30% chance to use phase ability
-        if (Math.random() < 0.3) {
-            const abilityName = this.randomChoice(this.enemy.phaseAbilities);
-            const skill = this.getBossSkill(abilityName);
-            if (skill) {
-                return { type: 'special', skill: skill };
-            }
+        // 30% chance to use a phase ability that is off cooldown
+        const ready = this.enemy.skills.filter(skill =>
+            this.enemy.phaseAbilities.includes(skill.id) && !(skill.currentCooldown > 0)
+        );
+        
+        if (ready.length > 0 && this.random() < 0.3) {
+            const skill = this.randomChoice(ready);
+            return { type: skill.role, skill: skill };
         }
         
         return null;
     }
 
     /**
-     * Get boss skill by name
+     * Get boss skill by name, scaled to the current boss.
+     * Roles work like enemy kits: specials and debuffs hit the player, buffs and heals the boss.
+     * `telegraph` skills are heavy attacks announced a turn before they land.
      */
-    getBossSkill(skillName) {
+    getBossSkill(skillName, boss = this.enemy) {
         const bossSkills = {
-            nature_heal: {
-                name: 'Nature\'s Blessing',
-                healing: 50,
-                manaCost: 0,
-                cooldown: 3,
-                currentCooldown: 0,
-                type: 'magic',
-                scalingFactor: 0.5
-            },
-            root_entangle: {
-                name: 'Root Entangle',
-                damage: 25,
-                statusEffects: [{ type: 'stunned', duration: 1, chance: 0.8 }],
-                manaCost: 0,
-                cooldown: 4,
-                currentCooldown: 0,
-                type: 'nature'
-            },
-            ice_storm: {
-                name: 'Ice Storm',
-                damage: 40,
-                statusEffects: [{ type: 'frozen', duration: 1, chance: 0.4 }],
-                manaCost: 0,
-                cooldown: 5,
-                currentCooldown: 0,
-                type: 'magic'
-            }
+            // Forest Guardian
+            nature_heal: { name: 'Nature\'s Blessing', role: 'heal', healPercent: 0.15, cooldown: 3, type: 'magic' },
+            root_entangle: { name: 'Root Entangle', role: 'special', power: 0.9, cooldown: 4, type: 'magic', element: 'nature', statusEffects: [{ type: 'stunned', duration: 1, chance: 0.8 }] },
+            forest_fury: { name: 'Forest Fury', role: 'special', telegraph: true, power: 1.6, cooldown: 3, element: 'nature', statusEffects: [{ type: 'bleeding', duration: 3, chance: 0.5 }] },
+            
+            // Elder Treant
+            bark_armor: { name: 'Bark Armor', role: 'buff', cooldown: 4, statusEffects: [{ type: 'defense_boost', duration: 3, chance: 1 }] },
+            branch_slam: { name: 'Branch Slam', role: 'special', telegraph: true, power: 1.5, cooldown: 3, accuracy: 0.8, statusEffects: [{ type: 'stunned', duration: 1, chance: 0.3 }] },
+            forest_blessing: { name: 'Forest Blessing', role: 'buff', cooldown: 5, type: 'magic', element: 'nature', statusEffects: [{ type: 'regeneration', duration: 5, chance: 1 }] },
+            
+            // Desert King
+            sand_storm: { name: 'Sand Storm', role: 'debuff', cooldown: 4, statusEffects: [{ type: 'weakness', duration: 3, chance: 0.8 }] },
+            mirage: { name: 'Mirage', role: 'buff', cooldown: 4, type: 'magic', statusEffects: [{ type: 'speed_boost', duration: 2, chance: 1 }] },
+            scorching_strike: { name: 'Scorching Strike', role: 'special', telegraph: true, power: 1.5, cooldown: 3, element: 'fire', statusEffects: [{ type: 'burning', duration: 2, chance: 0.6 }] },
+            
+            // Sand Dragon
+            sand_breath: { name: 'Sand Breath', role: 'special', power: 1.3, cooldown: 3, type: 'magic', statusEffects: [{ type: 'weakness', duration: 2, chance: 0.5 }] },
+            dune_dive: { name: 'Dune Dive', role: 'special', telegraph: true, power: 1.8, cooldown: 4, accuracy: 0.75 },
+            desert_rage: { name: 'Desert Rage', role: 'buff', cooldown: 5, statusEffects: [{ type: 'strength_boost', duration: 3, chance: 1 }, { type: 'speed_boost', duration: 3, chance: 1 }] },
+            
+            // Ice Queen
+            frost_armor: { name: 'Frost Armor', role: 'buff', cooldown: 4, type: 'magic', statusEffects: [{ type: 'defense_boost', duration: 3, chance: 1 }] },
+            ice_storm: { name: 'Ice Storm', role: 'special', power: 1.2, cooldown: 5, type: 'magic', element: 'ice', statusEffects: [{ type: 'frozen', duration: 1, chance: 0.4 }] },
+            frozen_heart: { name: 'Frozen Heart', role: 'heal', healPercent: 0.15, cooldown: 5, type: 'magic' },
+            
+            // Frost Dragon
+            ice_breath: { name: 'Ice Breath', role: 'special', power: 1.4, cooldown: 3, type: 'magic', element: 'ice', statusEffects: [{ type: 'slow', duration: 2, chance: 0.6 }] },
+            blizzard: { name: 'Blizzard', role: 'special', power: 1.1, cooldown: 4, type: 'magic', element: 'ice', statusEffects: [{ type: 'frozen', duration: 1, chance: 0.35 }] },
+            
+            // Shared by the Ice Queen and the Frost Dragon
+            absolute_zero: { name: 'Absolute Zero', role: 'special', telegraph: true, power: 2.0, cooldown: 4, type: 'magic', element: 'ice', accuracy: 0.85, statusEffects: [{ type: 'frozen', duration: 1, chance: 0.6 }] },
+            
+            // Ancient King
+            royal_command: { name: 'Royal Command', role: 'buff', cooldown: 4, statusEffects: [{ type: 'strength_boost', duration: 3, chance: 1 }] },
+            ancient_curse: { name: 'Ancient Curse', role: 'debuff', cooldown: 4, type: 'magic', statusEffects: [{ type: 'curse', duration: 4, chance: 0.9 }] },
+            kingly_wrath: { name: 'Kingly Wrath', role: 'special', telegraph: true, power: 1.7, cooldown: 3, statusEffects: [{ type: 'stunned', duration: 1, chance: 0.3 }] },
+            
+            // Shadow Lord
+            shadow_step: { name: 'Shadow Step', role: 'special', power: 1.2, cooldown: 2, element: 'dark', accuracy: 1.0 },
+            dark_magic: { name: 'Dark Magic', role: 'debuff', cooldown: 3, type: 'magic', statusEffects: [{ type: 'weakness', duration: 3, chance: 0.8 }, { type: 'poison', duration: 3, chance: 0.5 }] },
+            void_strike: { name: 'Void Strike', role: 'special', telegraph: true, power: 1.9, cooldown: 3, type: 'magic', element: 'dark', statusEffects: [{ type: 'curse', duration: 2, chance: 0.4 }] },
+            
+            // Added by Entities.scaleBoss on hard runs
+            enraged: { name: 'Enrage', role: 'buff', cooldown: 6, statusEffects: [{ type: 'strength_boost', duration: 4, chance: 1 }, { type: 'speed_boost', duration: 4, chance: 1 }] }
         };
         
-        return bossSkills[skillName] || null;
+        const definition = bossSkills[skillName];
+        if (!definition) return null;
+        
+        return { id: skillName, ...this.buildEnemySkill(definition, boss) };
     }
 
     /**
      * Attempt to flee from combat
      */
     attemptFlee() {
+        if (!this.isActive || this.currentTurn !== 'player') {
+            console.warn('⚠️ Not player\'s turn');
+            return false;
+        }
+        
         if (!this.combatOptions.allowFlee) {
             this.logMessage('You cannot flee from this battle!', 'warning');
             return false;
         }
         
         const fleeChance = 0.7; // Base 70% chance
+        this.recordAction('flee');
         
-        if (Math.random() < fleeChance) {
+        if (this.random() < fleeChance) {
             this.logMessage('You successfully flee from combat!', 'info');
             this.endCombat(false, 'Player fled');
             return true;
@@ -896,12 +1943,16 @@ export class Combat {
         const results = {
             victory: victory,
             reason: reason,
-            enemy: this.cloneEntity(this.enemy),
+            isBoss: this.combatOptions.isBoss,
+            enemies: this.enemies.map(enemy => this.cloneEntity(enemy)),
             player: this.cloneEntity(this.player),
             turnCount: this.turnCounter,
+            seed: this.rng.seed,
+            actionHistory: [...this.actionHistory],
             damageDealt: 0, // TODO: Track damage dealt
             damageTaken: 0  // TODO: Track damage taken
         };
+        results.enemy = results.enemies[0];
         
         if (victory) {
             // Calculate experience and rewards
@@ -922,40 +1973,37 @@ export class Combat {
     }
 
     /**
-     * Calculate experience gain from combat
+     * Calculate experience gain from combat (every enemy in the pack counts)
      */
     calculateExperienceGain() {
-        const baseExp = this.enemy.level * 10;
-        const difficultyBonus = Math.floor(baseExp * (this.enemy.difficulty || 1.0));
-        const bossBonus = this.enemy.isBoss ? baseExp : 0;
-        
-        return baseExp + difficultyBonus + bossBonus;
+        return this.enemies.reduce((total, enemy) => {
+            const baseExp = enemy.level * 10;
+            const difficultyBonus = Math.floor(baseExp * (enemy.difficulty || 1.0));
+            const bossBonus = enemy.isBoss ? baseExp : 0;
+            
+            return total + baseExp + difficultyBonus + bossBonus;
+        }, 0);
     }
 
     /**
-     * Calculate combat rewards
+     * Calculate combat rewards (boss kills are paid out by the engine's run rewards instead)
      */
     calculateCombatRewards() {
         const rewards = {
             items: [],
-            resources: {}
+            resources: { gold: 0 }
         };
         
-        // Basic gold reward
-        const goldAmount = this.randomInt(5, 15) + this.enemy.level;
-        rewards.resources.gold = goldAmount;
-        
-        // Chance for item drops
-        const dropChance = this.enemy.isBoss ? 0.8 : 0.3;
-        if (Math.random() < dropChance) {
-            rewards.items.push(this.generateRandomItem());
-        }
-        
-        // Boss-specific rewards
-        if (this.enemy.isBoss) {
-            rewards.items.push(this.generateBossItem());
-            rewards.resources.essences = this.randomInt(2, 5);
-        }
+        this.enemies.forEach(enemy => {
+            // Basic gold reward
+            rewards.resources.gold += this.randomInt(5, 15) + enemy.level;
+            
+            // Chance for item drops
+            const dropChance = enemy.isBoss ? 0.8 : 0.3;
+            if (this.random() < dropChance) {
+                rewards.items.push(this.generateRandomItem(enemy));
+            }
+        });
         
         return rewards;
     }
@@ -963,26 +2011,16 @@ export class Combat {
     /**
      * Generate random item drop
      */
-    generateRandomItem() {
+    generateRandomItem(enemy) {
+        // Roughly two in five drops are gear scaled to the enemy's level
+        if (this.random() < 0.4) {
+            return this.gameEngine.items.generateEquipment(this.rng, { level: enemy.level });
+        }
+        
         const itemTypes = ['health_potion', 'mana_potion', 'strength_elixir'];
         const randomType = this.randomChoice(itemTypes);
         
-        return {
-            name: randomType.replace('_', ' '),
-            type: 'consumable',
-            description: 'A useful consumable item'
-        };
-    }
-
-    /**
-     * Generate boss-specific item
-     */
-    generateBossItem() {
-        return {
-            name: `${this.enemy.name}'s Trophy`,
-            type: 'trophy',
-            description: `A trophy proving your victory over ${this.enemy.name}`
-        };
+        return this.gameEngine.items.createItem(randomType);
     }
 
     /**
@@ -993,9 +2031,13 @@ export class Combat {
         
         this.gameEngine.ui.updateCombatInfo({
             player: this.player,
+            enemies: this.enemies,
             enemy: this.enemy,
+            targetIndex: this.targetIndex,
+            turnOrder: this.getTurnPreview().map(actorId => this.getActor(actorId)),
             currentTurn: this.currentTurn,
-            turnCounter: this.turnCounter
+            turnCounter: this.turnCounter,
+            inventory: this.gameEngine.activeRun ? this.gameEngine.activeRun.inventory : []
         });
     }
 
@@ -1014,6 +2056,11 @@ export class Combat {
      * Clone entity for combat (to avoid modifying original)
      */
     cloneEntity(entity) {
+        // Characters know how to copy themselves (status effects, maxHp alias and all)
+        if (typeof entity.clone === 'function') {
+            return entity.clone();
+        }
+        
         return JSON.parse(JSON.stringify(entity));
     }
 
@@ -1022,44 +2069,101 @@ export class Combat {
      */
     cleanup() {
         this.player = null;
+        this.enemies = [];
         this.enemy = null;
+        this.initiative = {};
+        this.actingId = null;
         this.combatData = null;
         this.currentTurn = 'player';
         this.turnCounter = 0;
     }
 
     /**
-     * Utility methods for enemy AI
+     * Build combat-ready skills from an enemy type's kit, scaled to its attack
+     */
+    createEnemySkills(enemy) {
+        const kit = this.enemySkillKits[enemy.type];
+        if (!kit) return [];
+        
+        return kit.skills.map(definition => this.buildEnemySkill(definition, enemy));
+    }
+
+    /**
+     * Turn a kit or boss skill definition into a skill usable by executeSkill
      */
+    buildEnemySkill(definition, enemy) {
+        return {
+            name: definition.name,
+            role: definition.role,
+            damage: definition.power ? Math.floor((enemy.attack || 10) * definition.power) : 0,
+            healPercent: definition.healPercent || 0,
+            statusEffects: (definition.statusEffects || []).map(effect => ({ ...effect })),
+            manaCost: 0,
+            cooldown: definition.cooldown || 0,
+            currentCooldown: 0,
+            type: definition.type || 'physical',
+            element: definition.element || null,
+            scalingFactor: 0.1,
+            criticalChance: 0.1,
+            accuracy: definition.accuracy || 0.9,
+            target: definition.role === 'buff' || definition.role === 'heal' ? 'self' : 'enemy',
+            telegraph: definition.telegraph || false
+        };
+    }
+
+    /**
+     * Utility methods for enemy AI: pick a ready kit skill of the given role
+     */
+    getEnemySkillOfRole(role) {
+        const ready = (this.enemy.skills || []).filter(skill =>
+            skill.role === role && !(skill.currentCooldown > 0)
+        );
+        
+        return ready.length > 0 ? this.randomChoice(ready) : null;
+    }
+
     getEnemySpecialSkill() {
-        // TODO: Implement enemy special skills
-        return null;
+        return this.getEnemySkillOfRole('special');
     }
 
     getEnemyBuffSkill() {
-        // TODO: Implement enemy buff skills
-        return null;
+        return this.getEnemySkillOfRole('buff');
     }
 
     getEnemyDebuffSkill() {
-        // TODO: Implement enemy debuff skills
-        return null;
+        return this.getEnemySkillOfRole('debuff');
+    }
+
+    getEnemyHealSkill() {
+        return this.getEnemySkillOfRole('heal');
     }
 
     enemyCanHeal() {
-        // TODO: Check if enemy has healing abilities
-        return false;
+        return (this.enemy.skills || []).some(skill =>
+            skill.role === 'heal' && !(skill.currentCooldown > 0)
+        );
     }
 
     /**
-     * Utility functions
+     * Record a player input for replays
      */
+    recordAction(type, value = null) {
+        this.actionHistory.push({ turn: this.turnCounter, type, value });
+    }
+
+    /**
+     * Utility functions (all drawn from the encounter's random stream)
+     */
+    random() {
+        return this.rng.next();
+    }
+
     randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return this.rng.int(min, max);
     }
 
     randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+        return this.rng.choice(array);
     }
 
     delay(ms) {
@@ -1074,7 +2178,10 @@ export class Combat {
             isActive: this.isActive,
             currentTurn: this.currentTurn,
             turnCounter: this.turnCounter,
+            seed: this.rng.seed,
+            actionHistory: [...this.actionHistory],
             player: this.player ? { ...this.player } : null,
+            enemies: this.enemies.map(enemy => ({ ...enemy })),
             enemy: this.enemy ? { ...this.enemy } : null
         };
     }
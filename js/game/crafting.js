@@ -0,0 +1,400 @@
+/**
+ * Echoes of Elaria - Crafting System
+ * Recipe registry for the Forge: turns banked run materials into gear and consumables
+ */
+
+import { SeededRandom } from './random.js';
+
+export class Crafting {
+    constructor() {
+        this.gameEngine = null;
+
+        // Materials gathered on runs (see MapGenerator region resource pools)
+        this.materials = {
+            ore: { name: 'Ore', icon: '⛏️' },
+            herbs: { name: 'Herbs', icon: '🌿' },
+            wood: { name: 'Wood', icon: '🪵' },
+            gems: { name: 'Gems', icon: '💎' },
+            essences: { name: 'Essences', icon: '✨' },
+            ice_crystal: { name: 'Ice Crystal', icon: '🧊' },
+            frost_herb: { name: 'Frost Herb', icon: '❄️' },
+            ancient_relic: { name: 'Ancient Relic', icon: '🏺' }
+        };
+
+        // Recipe definitions. `tier` is the forge level required, `craftTime` is in seconds
+        // (divided by the crafting speed bonus). `output` is either an item id or an equipment
+        // base with a minimum rarity. `unlock` is null for starter recipes, otherwise one of:
+        // `{ material }` (first time the material is banked), `{ runs }` or `{ victories }`.
+        this.recipes = {
+            // Tier 1
+            health_potion: {
+                tier: 1,
+                craftTime: 15,
+                cost: { herbs: 2 },
+                output: { item: 'health_potion' },
+                unlock: null
+            },
+            herbal_salve: {
+                tier: 1,
+                craftTime: 15,
+                cost: { herbs: 3 },
+                output: { item: 'herbal_salve' },
+                unlock: null
+            },
+            iron_sword: {
+                tier: 1,
+                craftTime: 30,
+                cost: { ore: 3, wood: 1 },
+                output: { equipment: 'iron_sword', minRarity: 'common' },
+                unlock: null
+            },
+            oak_staff: {
+                tier: 1,
+                craftTime: 30,
+                cost: { wood: 3, herbs: 1 },
+                output: { equipment: 'oak_staff', minRarity: 'common' },
+                unlock: { material: 'wood' }
+            },
+            mana_potion: {
+                tier: 1,
+                craftTime: 15,
+                cost: { herbs: 1, essences: 1 },
+                output: { item: 'mana_potion' },
+                unlock: { material: 'essences' }
+            },
+
+            // Tier 2
+            steel_dagger: {
+                tier: 2,
+                craftTime: 45,
+                cost: { ore: 3, gems: 1 },
+                output: { equipment: 'steel_dagger', minRarity: 'uncommon' },
+                unlock: { material: 'gems' }
+            },
+            chain_mail: {
+                tier: 2,
+                craftTime: 60,
+                cost: { ore: 5, gems: 1 },
+                output: { equipment: 'chain_mail', minRarity: 'uncommon' },
+                unlock: { material: 'gems' }
+            },
+            warming_draught: {
+                tier: 2,
+                craftTime: 30,
+                cost: { frost_herb: 2, herbs: 1 },
+                output: { item: 'warming_draught' },
+                unlock: { material: 'frost_herb' }
+            },
+            greater_health_potion: {
+                tier: 2,
+                craftTime: 45,
+                cost: { herbs: 3, essences: 1 },
+                output: { item: 'greater_health_potion' },
+                unlock: { runs: 3 }
+            },
+
+            // Tier 3
+            feather_amulet: {
+                tier: 3,
+                craftTime: 90,
+                cost: { ice_crystal: 3, gems: 2 },
+                output: { equipment: 'feather_amulet', minRarity: 'rare' },
+                unlock: { material: 'ice_crystal' }
+            },
+            mage_robe: {
+                tier: 3,
+                craftTime: 90,
+                cost: { essences: 3, frost_herb: 2 },
+                output: { equipment: 'mage_robe', minRarity: 'rare' },
+                unlock: { material: 'frost_herb' }
+            },
+            holy_water: {
+                tier: 3,
+                craftTime: 60,
+                cost: { essences: 2, ancient_relic: 1 },
+                output: { item: 'holy_water' },
+                unlock: { material: 'ancient_relic' }
+            },
+
+            // Tier 4
+            war_hammer: {
+                tier: 4,
+                craftTime: 180,
+                cost: { ore: 8, ancient_relic: 2 },
+                output: { equipment: 'war_hammer', minRarity: 'epic' },
+                unlock: { victories: 1 }
+            },
+            phoenix_feather: {
+                tier: 4,
+                craftTime: 180,
+                cost: { ancient_relic: 2, essences: 4, ice_crystal: 2 },
+                output: { item: 'phoenix_feather' },
+                unlock: { victories: 1 }
+            }
+        };
+
+        console.log('🔨 Crafting system initialized');
+    }
+
+    /**
+     * Initialize with game engine reference
+     */
+    init(gameEngine) {
+        this.gameEngine = gameEngine;
+        console.log('🔨 Crafting system connected to engine');
+    }
+
+    /**
+     * Shorthand for the persistent forge state
+     */
+    get meta() {
+        return this.gameEngine.metaProgression;
+    }
+
+    /**
+     * Move a finished run's materials into the forge stores.
+     * Gold is spent during the run; a failed run only brings back half.
+     */
+    bankMaterials(resources = {}, victory = false) {
+        const banked = {};
+
+        Object.entries(resources).forEach(([material, amount]) => {
+            if (!this.materials[material] || amount <= 0) return;
+
+            const kept = victory ? amount : Math.floor(amount / 2);
+            if (kept <= 0) return;
+
+            this.meta.materials[material] = (this.meta.materials[material] || 0) + kept;
+            this.meta.discoveredMaterials.add(material);
+            banked[material] = kept;
+        });
+
+        return banked;
+    }
+
+    /**
+     * Unlock any recipes whose conditions are now met, returning the new ones
+     */
+    checkRecipeUnlocks() {
+        const unlocked = [];
+
+        Object.entries(this.recipes).forEach(([recipeId, recipe]) => {
+            if (this.meta.unlockedRecipes.has(recipeId)) return;
+            if (!this.isUnlockConditionMet(recipe.unlock)) return;
+
+            this.meta.unlockedRecipes.add(recipeId);
+            unlocked.push(recipeId);
+            console.log(`📜 Recipe unlocked: ${this.getRecipeName(recipeId)}`);
+        });
+
+        if (unlocked.length > 0) {
+            this.gameEngine.fireEvent('recipesUnlocked', { recipes: unlocked });
+        }
+
+        return unlocked;
+    }
+
+    /**
+     * Check a recipe's unlock condition against meta progression
+     */
+    isUnlockConditionMet(unlock) {
+        if (!unlock) return true;
+        if (unlock.material) return this.meta.discoveredMaterials.has(unlock.material);
+        if (unlock.runs) return this.meta.totalRuns >= unlock.runs;
+        if (unlock.victories) return this.meta.totalVictories >= unlock.victories;
+
+        return false;
+    }
+
+    /**
+     * Check whether a recipe can be crafted right now
+     */
+    canCraft(recipeId) {
+        const recipe = this.recipes[recipeId];
+        if (!recipe) return { ok: false, reason: 'Unknown recipe' };
+
+        if (!this.meta.unlockedRecipes.has(recipeId)) {
+            return { ok: false, reason: 'Recipe not yet discovered' };
+        }
+
+        if (this.meta.buildings.forge.level < recipe.tier) {
+            return { ok: false, reason: `Requires Forge level ${recipe.tier}` };
+        }
+
+        const missing = Object.entries(recipe.cost).find(([material, amount]) =>
+            (this.meta.materials[material] || 0) < amount
+        );
+        if (missing) {
+            return { ok: false, reason: `Not enough ${this.materials[missing[0]].name}` };
+        }
+
+        return { ok: true, reason: null };
+    }
+
+    /**
+     * Spend materials and put a recipe in the forge queue
+     */
+    startCraft(recipeId) {
+        const check = this.canCraft(recipeId);
+        if (!check.ok) {
+            console.warn(`⚠️ Cannot craft ${recipeId}: ${check.reason}`);
+            return null;
+        }
+
+        const recipe = this.recipes[recipeId];
+        Object.entries(recipe.cost).forEach(([material, amount]) => {
+            this.meta.materials[material] -= amount;
+        });
+
+        const startedAt = Date.now();
+        const job = {
+            recipeId,
+            startedAt,
+            completesAt: startedAt + this.getCraftTime(recipeId) * 1000
+        };
+
+        this.meta.craftingQueue.push(job);
+        console.log(`🔨 Started crafting ${this.getRecipeName(recipeId)}`);
+
+        this.gameEngine.fireEvent('craftStarted', job);
+        return job;
+    }
+
+    /**
+     * Craft time in seconds after the crafting speed bonus
+     */
+    getCraftTime(recipeId) {
+        const speed = this.meta.globalBonuses.craftingSpeed || 1.0;
+        return Math.ceil(this.recipes[recipeId].craftTime / speed);
+    }
+
+    /**
+     * Move finished jobs out of the queue and into the stash
+     */
+    collectFinishedCrafts(now = Date.now()) {
+        const finished = this.meta.craftingQueue.filter(job => job.completesAt <= now);
+        if (finished.length === 0) return [];
+
+        this.meta.craftingQueue = this.meta.craftingQueue.filter(job => job.completesAt > now);
+
+        const items = finished.map(job => this.createOutput(job));
+        this.meta.forgeStash.push(...items);
+
+        items.forEach(item => console.log(`✅ Finished crafting ${item.name}`));
+        this.gameEngine.fireEvent('craftsCompleted', { items });
+
+        return items;
+    }
+
+    /**
+     * Build the item a finished job produces
+     */
+    createOutput(job) {
+        const recipe = this.recipes[job.recipeId];
+        const items = this.gameEngine.items;
+
+        if (recipe.output.equipment) {
+            // Each job rolls its own affixes, reproducibly from when it was started
+            const rng = new SeededRandom(`forge:${job.recipeId}:${job.startedAt}`);
+
+            return items.generateEquipment(rng, {
+                baseId: recipe.output.equipment,
+                minRarity: recipe.output.minRarity,
+                level: this.meta.buildings.forge.level
+            });
+        }
+
+        return items.createItem(recipe.output.item);
+    }
+
+    /**
+     * Hand the stash over to a new run's starting inventory
+     */
+    takeStash() {
+        this.collectFinishedCrafts();
+
+        const items = this.meta.forgeStash;
+        this.meta.forgeStash = [];
+
+        return items;
+    }
+
+    /**
+     * Display name of a recipe (the name of what it makes)
+     */
+    getRecipeName(recipeId) {
+        const recipe = this.recipes[recipeId];
+        const outputId = recipe.output.equipment || recipe.output.item;
+
+        return this.gameEngine.items.itemTemplates[outputId]?.name || outputId;
+    }
+
+    /**
+     * Describe a recipe's unlock condition for locked recipe cards
+     */
+    describeUnlock(unlock) {
+        if (!unlock) return '';
+        if (unlock.material) return `Bring back ${this.materials[unlock.material].name} from a run`;
+        if (unlock.runs) return `Complete ${unlock.runs} runs`;
+        if (unlock.victories) return `Win ${unlock.victories} run${unlock.victories > 1 ? 's' : ''}`;
+
+        return 'Unknown';
+    }
+
+    /**
+     * Everything the crafting screen needs to render
+     */
+    getForgeView() {
+        this.collectFinishedCrafts();
+
+        const now = Date.now();
+        const templates = this.gameEngine.items.itemTemplates;
+
+        const recipes = Object.entries(this.recipes).map(([recipeId, recipe]) => {
+            const outputId = recipe.output.equipment || recipe.output.item;
+            const template = templates[outputId] || {};
+            const check = this.canCraft(recipeId);
+
+            return {
+                id: recipeId,
+                name: template.name || outputId,
+                icon: template.icon || '📦',
+                description: template.description || '',
+                minRarity: recipe.output.minRarity || null,
+                tier: recipe.tier,
+                craftTime: this.getCraftTime(recipeId),
+                discovered: this.meta.unlockedRecipes.has(recipeId),
+                unlockHint: this.describeUnlock(recipe.unlock),
+                costs: Object.entries(recipe.cost).map(([material, amount]) => ({
+                    ...this.materials[material],
+                    material,
+                    amount,
+                    have: this.meta.materials[material] || 0
+                })),
+                canCraft: check.ok,
+                reason: check.reason
+            };
+        });
+
+        const materials = Object.entries(this.materials).map(([material, info]) => ({
+            ...info,
+            material,
+            amount: this.meta.materials[material] || 0
+        }));
+
+        const queue = this.meta.craftingQueue.map(job => ({
+            name: this.getRecipeName(job.recipeId),
+            icon: recipes.find(recipe => recipe.id === job.recipeId).icon,
+            remaining: Math.max(0, Math.ceil((job.completesAt - now) / 1000))
+        }));
+
+        return {
+            forgeLevel: this.meta.buildings.forge.level,
+            craftingSpeed: this.meta.globalBonuses.craftingSpeed,
+            recipes,
+            materials,
+            queue,
+            stash: [...this.meta.forgeStash]
+        };
+    }
+}
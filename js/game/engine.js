@@ -6,6 +6,9 @@
 import { MapGenerator } from './mapgen.js';
 import { Combat } from './combat.js';
 import { Entities } from './entities.js';
+import { Items } from './items.js';
+import { Crafting } from './crafting.js';
+import { SeededRandom } from './random.js';
 
 export class GameEngine {
     constructor() {
@@ -13,6 +16,8 @@ export class GameEngine {
         this.mapGenerator = new MapGenerator();
         this.combat = new Combat();
         this.entities = new Entities();
+        this.items = new Items();
+        this.crafting = new Crafting();
         
         // External system references (injected)
         this.persistence = null;
@@ -31,6 +36,10 @@ export class GameEngine {
                 faction: { level: 1, experience: 0 }
             },
             unlockedRecipes: new Set(),
+            materials: {}, // Banked crafting materials
+            discoveredMaterials: new Set(), // Materials ever brought back (unlocks recipes)
+            craftingQueue: [], // Forge jobs in progress
+            forgeStash: [], // Crafted items waiting to be taken on the next run
             unlockedClasses: new Set(['warrior', 'mage', 'rogue', 'healer']),
             factionReputations: {
                 order: { reputation: 0, level: 1 },
@@ -57,6 +66,21 @@ export class GameEngine {
         // Event system
         this.eventCallbacks = new Map();
         
+        // Result of the last resolved map event, waiting for the player to continue
+        this.pendingEventResult = null;
+        
+        // Mid-combat snapshot from a loaded save, resumed by continueRun
+        this.savedCombat = null;
+        
+        // Lasting curses that map events can inflict (stat penalties for the rest of the run)
+        this.eventCurses = {
+            fairy_curse: {
+                name: 'Fairy Curse',
+                description: 'Mischievous fairy magic leaves you clumsy and weak',
+                stats: { strength: -2, agility: -2 }
+            }
+        };
+        
         console.log('🎮 GameEngine initialized');
     }
 
@@ -72,34 +96,43 @@ export class GameEngine {
         this.mapGenerator.init(this);
         this.combat.init(this);
         this.entities.init(this);
+        this.items.init(this);
+        this.crafting.init(this);
+        
+        // Starter recipes are always known
+        this.crafting.checkRecipeUnlocks();
         
         console.log('⚙️ GameEngine systems connected');
     }
 
     /**
-     * Start a new run with selected class and faction
+     * Start a new run with selected class and faction.
+     * Pass a seed to replay a specific run; omit it for a fresh one.
      */
-    async startNewRun(className, factionName) {
+    async startNewRun(className, factionName, seed = null) {
         console.log(`🚀 Starting new run: ${className} (${factionName})`);
         
         try {
-            // Create new character
-            const character = this.entities.createCharacter(className, factionName);
+            // Create new character (faction reputation decides which faction skills it gets)
+            const factionLevel = this.metaProgression.factionReputations[factionName]?.level || 1;
+            const character = this.entities.createCharacter(className, factionName, factionLevel);
             
             // Apply meta-progression bonuses to character
             this.applyMetaProgressionBonuses(character);
             
             // Generate run data
-            const runMap = this.mapGenerator.generateRun();
+            const runMap = this.mapGenerator.generateRun(seed);
             
             // Create active run state
             this.activeRun = {
-                id: Date.now() + Math.random(), // Unique run ID
+                id: runMap.id, // Run ID is the map seed
+                seed: runMap.seed,
                 character: character,
                 faction: factionName,
                 map: runMap,
-                currentNodeIndex: 0,
-                inventory: [],
+                currentNodeIndex: null, // null until the first node is chosen
+                path: [], // Node indices visited, in order
+                inventory: this.crafting.takeStash(), // Start with whatever the forge made
                 resources: {
                     gold: 0,
                     ore: 0,
@@ -114,16 +147,22 @@ export class GameEngine {
                     startTime: Date.now()
                 },
                 flags: new Set(), // Story flags and achievements
+                pendingLevelUps: [], // Level ups whose upgrade hasn't been picked yet
                 difficulty: this.calculateRunDifficulty()
             };
             
             this.isInRun = true;
+            this.pendingEventResult = null;
+            this.savedCombat = null;
             
-            // Update meta stats
+            // Update meta stats (saved now so the forge stash can't be claimed twice)
             this.metaProgression.totalRuns++;
+            await this.saveMetaProgression();
             
             // Initialize UI for the run
             this.ui.initializeRun(this.activeRun);
+            this.ui.setContinueAvailable(true);
+            await this.saveActiveRun();
             
             // Fire event
             this.fireEvent('runStarted', { 
@@ -140,9 +179,9 @@ export class GameEngine {
     }
 
     /**
-     * Continue an existing run
+     * Continue an existing run, picking up wherever it was saved (including mid-combat)
      */
-    continueRun() {
+    async continueRun() {
         if (!this.activeRun) {
             throw new Error('No active run to continue');
         }
@@ -153,10 +192,97 @@ export class GameEngine {
         this.ui.initializeRun(this.activeRun);
         
         // Update UI to show current state
-        this.ui.updateMapView();
-        this.ui.updateCharacterInfo();
+        this.ui.updateMapView(this.activeRun);
+        this.ui.updateCharacterInfo(this.activeRun.character);
+        this.ui.updateInventoryView(this.activeRun.inventory);
+        this.ui.showMapView();
+        this.showPendingLevelUp();
         
         this.fireEvent('runContinued', { run: this.activeRun });
+        
+        await this.resumeCurrentNode();
+    }
+
+    /**
+     * Re-enter the node the run was saved at, if it wasn't finished
+     */
+    async resumeCurrentNode() {
+        const { map, currentNodeIndex } = this.activeRun;
+        const node = currentNodeIndex === null ? null : map.nodes[currentNodeIndex];
+        
+        // A fight in progress picks up on the exact turn it was saved
+        if (this.savedCombat) {
+            const state = this.savedCombat;
+            this.savedCombat = null;
+            
+            const combatResult = await this.combat.resumeCombat(state);
+            await this.handleCombatResult(combatResult);
+            return;
+        }
+        
+        if (!node || node.completed) return;
+        
+        if (node.type === 'event' && node.eventResolved) {
+            if (this.pendingEventResult) {
+                this.ui.showEvent(node.event);
+                this.ui.showEventResult(this.pendingEventResult);
+            } else {
+                this.completeCurrentNode();
+            }
+            return;
+        }
+        
+        await this.handleNodeEncounter(node);
+    }
+
+    /**
+     * Load a saved run from persistence. Returns false when there is none.
+     */
+    async loadActiveRun() {
+        if (!this.persistence) return false;
+        
+        const saved = await this.persistence.loadActiveRun();
+        if (!saved) return false;
+        
+        this.setActiveRun(saved);
+        return true;
+    }
+
+    /**
+     * Check whether a saved run exists and enable Continue accordingly
+     */
+    async checkForSavedRun() {
+        const saved = this.persistence ? await this.persistence.loadActiveRun() : null;
+        this.ui.setContinueAvailable(Boolean(saved));
+        return Boolean(saved);
+    }
+
+    /**
+     * Save the active run (autosaved after every node, event and combat turn)
+     */
+    async saveActiveRun() {
+        if (!this.persistence || !this.activeRun) return;
+        
+        try {
+            await this.persistence.saveActiveRun(this.serializeRun());
+        } catch (error) {
+            console.error('❌ Autosave failed:', error);
+        }
+    }
+
+    /**
+     * Plain-data copy of the active run for saving (Sets and Maps become arrays)
+     */
+    serializeRun() {
+        const run = this.activeRun;
+        
+        return {
+            ...run,
+            character: run.character.toJSON(),
+            flags: [...run.flags],
+            pendingEventResult: this.pendingEventResult,
+            combat: this.combat.isActive ? this.combat.serializeState() : null
+        };
     }
 
     /**
@@ -180,13 +306,19 @@ export class GameEngine {
             // Update statistics
             this.updateRunStatistics(victory);
             
+            // New materials and victories can teach new recipes
+            finalRewards.unlockedRecipes = this.crafting.checkRecipeUnlocks();
+            
             // Save end state
-            await this.persistence.saveMetaProgression(this.metaProgression);
+            await this.saveMetaProgression();
             await this.persistence.clearActiveRun();
             
             // Clean up run state
             this.activeRun = null;
             this.isInRun = false;
+            this.pendingEventResult = null;
+            this.savedCombat = null;
+            this.ui.setContinueAvailable(false);
             
             // Show run summary
             this.ui.showRunSummary(finalRewards, victory);
@@ -206,32 +338,56 @@ export class GameEngine {
     }
 
     /**
-     * Move to next node in the current run
+     * Get the nodes the player can travel to from the current position
+     */
+    getReachableNodes() {
+        if (!this.activeRun) return [];
+        
+        return this.getReachableNodeIndices().map(index => this.activeRun.map.nodes[index]);
+    }
+
+    /**
+     * Indices of the nodes the player may travel to next (also what the map highlights)
+     */
+    getReachableNodeIndices() {
+        if (!this.activeRun) return [];
+        
+        const { map, currentNodeIndex } = this.activeRun;
+        
+        // At the start of a run every entrance node is open
+        if (currentNodeIndex === null) {
+            return map.layers[0];
+        }
+        
+        const currentNode = map.nodes[currentNodeIndex];
+        if (!currentNode.completed) return [];
+        
+        return currentNode.connections;
+    }
+
+    /**
+     * Travel to a chosen node connected to the current one
      */
-    async moveToNextNode() {
+    async travelToNode(nodeIndex) {
         if (!this.isInRun || !this.activeRun) {
             console.warn('⚠️ No active run');
             return false;
         }
         
-        const currentIndex = this.activeRun.currentNodeIndex;
-        const maxIndex = this.activeRun.map.nodes.length - 1;
-        
-        if (currentIndex >= maxIndex) {
-            console.log('🎯 Reached end of run');
-            // This is the final boss - end run on victory
-            await this.endRun(true);
-            return true;
+        const nextNode = this.activeRun.map.nodes[nodeIndex];
+        if (!nextNode || !this.getReachableNodes().includes(nextNode)) {
+            console.warn(`⚠️ Node ${nodeIndex} is not reachable from the current position`);
+            return false;
         }
         
-        // Move to next node
-        this.activeRun.currentNodeIndex++;
-        const nextNode = this.activeRun.map.nodes[this.activeRun.currentNodeIndex];
+        this.activeRun.currentNodeIndex = nodeIndex;
+        this.activeRun.path.push(nodeIndex);
+        await this.saveActiveRun();
         
-        console.log(`➡️ Moving to node: ${nextNode.type} (${this.activeRun.currentNodeIndex + 1}/${this.activeRun.map.nodes.length})`);
+        console.log(`➡️ Travelling to node: ${nextNode.type} (layer ${nextNode.layer + 1}/${this.activeRun.map.layers.length})`);
         
         // Update UI
-        this.ui.updateMapView();
+        this.ui.updateMapView(this.activeRun);
         
         // Handle node encounter
         await this.handleNodeEncounter(nextNode);
@@ -239,6 +395,33 @@ export class GameEngine {
         return true;
     }
 
+    /**
+     * Mark the current node as cleared and save, then (unless a node shows its outcome
+     * first) return to the map to pick the next path
+     */
+    completeCurrentNode(returnToMap = true) {
+        if (!this.activeRun || this.activeRun.currentNodeIndex === null) return;
+        
+        const node = this.activeRun.map.nodes[this.activeRun.currentNodeIndex];
+        node.completed = true;
+        
+        if (returnToMap) {
+            this.returnToMap();
+        }
+        
+        this.saveActiveRun();
+    }
+
+    /**
+     * Show the map with the run's current progress
+     */
+    returnToMap() {
+        if (!this.activeRun) return;
+        
+        this.ui.updateMapView(this.activeRun);
+        this.ui.showMapView();
+    }
+
     /**
      * Handle encounter at current node
      */
@@ -247,7 +430,7 @@ export class GameEngine {
         
         switch (node.type) {
             case 'combat':
-                await this.startCombat(node.enemy);
+                await this.startCombat(node.enemies);
                 break;
                 
             case 'event':
@@ -263,7 +446,7 @@ export class GameEngine {
                 break;
                 
             case 'merchant':
-                this.ui.showMerchant(node.merchant);
+                this.ui.showMerchant(node.merchant, this.getMerchantOffers(node.merchant));
                 break;
                 
             case 'rest':
@@ -280,26 +463,22 @@ export class GameEngine {
     }
 
     /**
-     * Start combat encounter
+     * Start combat encounter against an enemy or a pack of them
      */
-    async startCombat(enemy) {
+    async startCombat(enemies) {
         if (!this.isInRun) return;
         
-        console.log(`⚔️ Starting combat vs ${enemy.name}`);
+        const pack = Array.isArray(enemies) ? enemies : [enemies];
+        console.log(`⚔️ Starting combat vs ${pack.map(enemy => enemy.name).join(', ')}`);
         
         // Initialize combat system
         const combatResult = await this.combat.startCombat(
             this.activeRun.character,
-            enemy
+            pack,
+            { seed: this.getEncounterSeed() }
         );
         
-        if (combatResult.victory) {
-            // Handle combat victory
-            this.handleCombatVictory(combatResult);
-        } else {
-            // Handle defeat
-            await this.handleCombatDefeat(combatResult);
-        }
+        await this.handleCombatResult(combatResult);
     }
 
     /**
@@ -314,39 +493,74 @@ export class GameEngine {
         const combatResult = await this.combat.startCombat(
             this.activeRun.character,
             scaledBoss,
-            { isBoss: true }
+            { isBoss: true, allowFlee: false, seed: this.getEncounterSeed() }
         );
         
-        if (combatResult.victory) {
+        await this.handleCombatResult(combatResult);
+    }
+
+    /**
+     * Route a finished fight (new or resumed) to victory or defeat handling
+     */
+    async handleCombatResult(combatResult) {
+        // Fleeing keeps the run going but forfeits the node's rewards
+        if (combatResult.reason === 'Player fled') {
+            this.activeRun.character.syncResources(combatResult.player);
+            this.completeCurrentNode();
+            return;
+        }
+        
+        if (!combatResult.victory) {
+            await this.handleCombatDefeat(combatResult);
+            return;
+        }
+        
+        if (combatResult.isBoss) {
+            this.activeRun.character.syncResources(combatResult.player);
+            
             // Boss defeated - major rewards and run completion
-            const bossRewards = this.calculateBossRewards(boss);
+            const node = this.activeRun.map.nodes[this.activeRun.currentNodeIndex];
+            const bossRewards = this.calculateBossRewards(node.boss);
             await this.endRun(true, bossRewards);
-        } else {
-            // Boss defeated player
-            await this.handleCombatDefeat(combatResult);
+            return;
         }
+        
+        this.handleCombatVictory(combatResult);
+    }
+
+    /**
+     * Derive a reproducible combat seed from the run seed and the current node
+     */
+    getEncounterSeed() {
+        return `${this.activeRun.seed}:node-${this.activeRun.currentNodeIndex}`;
     }
 
     /**
      * Handle combat victory
      */
     handleCombatVictory(combatResult) {
-        const { enemy, rewards, experience } = combatResult;
+        const { enemies, rewards, experience } = combatResult;
         
-        console.log(`🏆 Victory vs ${enemy.name}!`);
+        console.log(`🏆 Victory vs ${enemies.map(enemy => enemy.name).join(', ')}!`);
+        
+        // Combat fights on a copy of the character; carry the HP and MP it ended with
+        this.activeRun.character.syncResources(combatResult.player);
         
         // Add experience to character
-        this.activeRun.character.addExperience(experience);
+        this.grantExperience(experience);
         
         // Add rewards to run
         this.addToInventory(rewards.items);
         this.addResources(rewards.resources);
         
         // Update run statistics
-        this.activeRun.runStats.enemiesDefeated++;
+        this.activeRun.runStats.enemiesDefeated += enemies.length;
         this.activeRun.runStats.damageDealt += combatResult.damageDealt || 0;
         this.activeRun.runStats.itemsFound += rewards.items.length;
         
+        // Clear the node so the next paths open up
+        this.completeCurrentNode();
+        
         // Show victory UI
         this.ui.showCombatVictory(combatResult);
         
@@ -367,23 +581,468 @@ export class GameEngine {
         await this.endRun(false);
     }
 
+    /**
+     * Resolve the player's choice at the current event node.
+     * Rolls one of the choice's outcomes, applies it and shows the result.
+     */
+    resolveEventChoice(choiceIndex) {
+        if (!this.isInRun || !this.activeRun) return null;
+        
+        const node = this.activeRun.map.nodes[this.activeRun.currentNodeIndex];
+        if (!node || node.type !== 'event' || node.eventResolved) {
+            console.warn('⚠️ No unresolved event at the current node');
+            return null;
+        }
+        
+        const choice = node.event.choices[choiceIndex];
+        if (!choice) return null;
+        
+        // Outcome rolls are tied to the run seed like everything else on the map
+        const rng = new SeededRandom(`${this.getEncounterSeed()}:event`);
+        const outcome = this.rollEventOutcome(choice.outcomes, rng);
+        const result = this.applyEventOutcome(outcome, node, rng);
+        
+        node.eventResolved = true;
+        this.pendingEventResult = result;
+        
+        console.log(`📜 Event outcome: ${outcome.type}`);
+        
+        this.ui.updateCharacterInfo(this.activeRun.character);
+        this.ui.updateResourceDisplay(this.activeRun.resources);
+        this.ui.showEventResult(result);
+        this.saveActiveRun();
+        
+        this.fireEvent('eventResolved', result);
+        return result;
+    }
+
+    /**
+     * Pick an outcome by its probability (any leftover probability means nothing happens)
+     */
+    rollEventOutcome(outcomes, rng) {
+        const roll = rng.next();
+        let cumulative = 0;
+        
+        for (const outcome of outcomes) {
+            cumulative += outcome.probability || 0;
+            if (roll < cumulative) {
+                return outcome;
+            }
+        }
+        
+        return { type: 'nothing' };
+    }
+
+    /**
+     * Apply a single event outcome to the run
+     */
+    applyEventOutcome(outcome, node, rng) {
+        const character = this.activeRun.character;
+        const result = { type: outcome.type, message: '', tone: 'neutral', followUp: null };
+        
+        switch (outcome.type) {
+            case 'gold': {
+                this.addResources({ gold: outcome.value });
+                result.message = `You find ${outcome.value} gold.`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'heal': {
+                const healed = character.heal(Math.floor(character.maxHealth * outcome.value));
+                result.message = `You feel refreshed and recover ${healed} HP.`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'full_heal': {
+                const healed = character.heal(character.maxHealth);
+                character.restoreMana(character.maxMana);
+                result.message = `You are fully restored (+${healed} HP).`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'stat_boost': {
+                this.modifyCharacterStats(character, outcome.value);
+                result.message = `You feel empowered: ${this.describeStatChanges(outcome.value)}.`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'curse': {
+                const curse = this.eventCurses[outcome.value];
+                if (curse) {
+                    this.modifyCharacterStats(character, curse.stats);
+                    this.activeRun.flags.add(`curse:${outcome.value}`);
+                    result.message = `${curse.name}! ${curse.description} (${this.describeStatChanges(curse.stats)}).`;
+                } else {
+                    result.message = 'A dark presence lingers over you, but nothing comes of it.';
+                }
+                result.tone = 'bad';
+                break;
+            }
+                
+            case 'items': {
+                const items = outcome.value.map(itemId => this.createItem(itemId));
+                this.addToInventory(items);
+                this.activeRun.runStats.itemsFound += items.length;
+                result.message = `You obtain: ${items.map(item => item.name).join(', ')}.`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'trap':
+            case 'cave_in':
+            case 'frostbite': {
+                const damage = this.damageCharacterOutsideCombat(outcome.value);
+                const causes = {
+                    trap: 'A hidden trap springs',
+                    cave_in: 'The ceiling collapses around you',
+                    frostbite: 'The bitter cold bites into your flesh'
+                };
+                result.message = `${causes[outcome.type]}! You take ${damage} damage.`;
+                result.tone = 'bad';
+                break;
+            }
+                
+            case 'ambush': {
+                const enemy = this.mapGenerator.createEnemy(outcome.value, node.difficulty);
+                result.message = `It's an ambush! A ${enemy.name} attacks!`;
+                result.tone = 'bad';
+                result.followUp = { type: 'combat', enemy };
+                break;
+            }
+                
+            case 'resources': {
+                this.addResources(outcome.value);
+                result.message = `You gather ${this.describeResources(outcome.value)}.`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'mana_boost': {
+                const restored = character.restoreMana(Math.floor(character.maxMana * outcome.value));
+                result.message = `Your mind clears and you recover ${restored} MP.`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'magic_drain': {
+                const drained = Math.floor(character.mana * outcome.value);
+                character.mana -= drained;
+                result.message = `The altar drains your power! You lose ${drained} MP.`;
+                result.tone = 'bad';
+                break;
+            }
+                
+            case 'spell_upgrade': {
+                const skill = this.upgradeRandomSkill(character, rng);
+                result.message = skill ?
+                    `Arcane power surges into ${skill.name}! It is now rank ${skill.level}.` :
+                    'The altar hums, but you have no spell it can empower.';
+                result.tone = skill ? 'good' : 'neutral';
+                break;
+            }
+                
+            case 'knowledge': {
+                const experience = 30;
+                this.activeRun.flags.add(`knowledge:${outcome.value}`);
+                this.grantExperience(experience);
+                result.message = `You decipher the ${outcome.value.replace(/_/g, ' ')} and gain ${experience} experience.`;
+                result.tone = 'good';
+                break;
+            }
+                
+            case 'mirage': {
+                result.message = 'As you approach, the water shimmers and vanishes. It was only a mirage.';
+                break;
+            }
+                
+            case 'nothing':
+            default: {
+                result.message = 'Nothing happens. You continue on your way.';
+                break;
+            }
+        }
+        
+        return result;
+    }
+
+    /**
+     * Leave the event screen, starting any follow-up encounter
+     */
+    async continueAfterEvent() {
+        const result = this.pendingEventResult;
+        this.pendingEventResult = null;
+        
+        if (result?.followUp?.type === 'combat') {
+            await this.startCombat(result.followUp.enemy);
+            return;
+        }
+        
+        this.completeCurrentNode();
+    }
+
+    /**
+     * Add (or remove) base stats from the character and refresh derived stats
+     */
+    modifyCharacterStats(character, statChanges) {
+        character.modifyBaseStats(statChanges);
+    }
+
+    /**
+     * Non-combat damage (events never kill outright, they leave you at 1 HP)
+     */
+    damageCharacterOutsideCombat(amount) {
+        const character = this.activeRun.character;
+        const damage = Math.min(amount, character.hp - 1);
+        character.hp -= damage;
+        this.activeRun.runStats.damageTaken += damage;
+        return damage;
+    }
+
+    /**
+     * Give the run's character experience, announcing each level gained and the skills it
+     * unlocked. Every level up also queues a choice of upgrades for the player, rolled
+     * when it is shown so each level sees the character as the earlier picks left it.
+     */
+    grantExperience(experience) {
+        const character = this.activeRun.character;
+        const rng = new SeededRandom(`${this.activeRun.seed}:level-${character.level}`);
+        const levelUps = this.entities.addExperienceToCharacter(character, experience, rng);
+        
+        levelUps.forEach(levelUp => {
+            this.activeRun.pendingLevelUps.push({ level: levelUp.newLevel, choices: null });
+            this.fireEvent('characterLevelUp', {
+                level: levelUp.newLevel,
+                skills: levelUp.unlockedSkills.map(skill => skill.name),
+                loadout: levelUp.unlockedSkills.filter(skill => skill.inLoadout).map(skill => skill.name)
+            });
+        });
+        
+        if (levelUps.length > 0) {
+            this.showPendingLevelUp();
+        }
+        
+        return levelUps;
+    }
+
+    /**
+     * Show the oldest level up still waiting for its upgrade to be picked (or close the choice)
+     */
+    showPendingLevelUp() {
+        const pending = this.activeRun?.pendingLevelUps[0];
+        
+        if (pending) {
+            if (!pending.choices) {
+                const rng = new SeededRandom(`${this.activeRun.seed}:level-${pending.level}:choices`);
+                pending.choices = this.entities.createLevelUpChoices(this.activeRun.character, rng);
+            }
+            this.ui.showLevelUpChoices(pending);
+        } else {
+            this.ui.hideLevelUpChoices();
+        }
+    }
+
+    /**
+     * Apply the upgrade picked for the oldest pending level up. A choice that no longer
+     * applies (skill already at max rank, passive already known) is re-rolled instead.
+     */
+    chooseLevelUpUpgrade(choiceIndex) {
+        const pending = this.activeRun?.pendingLevelUps[0];
+        const choice = pending?.choices?.[choiceIndex];
+        if (!choice) return false;
+        
+        const character = this.activeRun.character;
+        
+        if (!this.applyLevelUpChoice(character, choice)) {
+            console.warn(`⚠️ ${choice.name} can no longer be picked`);
+            pending.choices = null;
+            this.showPendingLevelUp();
+            return false;
+        }
+        
+        this.activeRun.pendingLevelUps.shift();
+        console.log(`🎁 Level ${pending.level} upgrade: ${choice.name}`);
+        
+        this.ui.updateCharacterInfo(character);
+        this.saveActiveRun();
+        
+        this.fireEvent('levelUpChosen', { level: pending.level, choice });
+        this.showPendingLevelUp();
+        
+        return true;
+    }
+
+    /**
+     * Apply one level up upgrade, returning whether it took effect
+     */
+    applyLevelUpChoice(character, choice) {
+        switch (choice.type) {
+            case 'skill_rank':
+                return character.rankUpSkill(choice.skillIndex);
+                
+            case 'stats':
+                character.modifyBaseStats(choice.stats);
+                return true;
+                
+            case 'passive': {
+                const passive = this.entities.passiveTemplates[choice.passive];
+                if (!passive || character.hasPassive(choice.passive)) return false;
+                
+                character.addPassive({ id: choice.passive, ...passive });
+                return true;
+            }
+                
+            default:
+                return false;
+        }
+    }
+
+    /**
+     * Raise a random damaging or healing skill by one rank
+     */
+    upgradeRandomSkill(character, rng) {
+        const candidates = character.skills.filter(skill =>
+            skill.unlocked && (skill.damage > 0 || skill.healing > 0) && (skill.level || 1) < character.maxSkillRank
+        );
+        if (candidates.length === 0) return null;
+        
+        const skill = rng.choice(candidates);
+        character.rankUpSkill(character.skills.indexOf(skill));
+        
+        return skill;
+    }
+
+    describeStatChanges(statChanges) {
+        return Object.entries(statChanges)
+            .map(([stat, amount]) => `${amount > 0 ? '+' : ''}${amount} ${stat}`)
+            .join(', ');
+    }
+
+    describeResources(resources) {
+        return Object.entries(resources)
+            .map(([type, amount]) => `${amount} ${type.replace(/_/g, ' ')}`)
+            .join(', ');
+    }
+
+    /**
+     * Get the merchant at the current node, if any
+     */
+    getCurrentMerchant() {
+        if (!this.activeRun || this.activeRun.currentNodeIndex === null) return null;
+        
+        const node = this.activeRun.map.nodes[this.activeRun.currentNodeIndex];
+        return node && node.type === 'merchant' ? node.merchant : null;
+    }
+
+    /**
+     * Build the buy/sell price lists for a merchant, adjusted by haggle and faction
+     */
+    getMerchantOffers(merchant) {
+        const gold = this.activeRun.resources.gold || 0;
+        const faction = this.activeRun.faction;
+        
+        return {
+            gold,
+            stock: merchant.items.map((item, index) => {
+                const price = this.items.getBuyPrice(item, merchant.haggle, faction);
+                return { index, item, price, affordable: gold >= price };
+            }),
+            sellables: this.activeRun.inventory.map((item, index) => ({
+                index,
+                item,
+                price: this.items.getSellPrice(item, merchant.haggle, faction)
+            }))
+        };
+    }
+
+    /**
+     * Buy one unit of a merchant's stock with run gold
+     */
+    buyFromMerchant(stockIndex) {
+        const merchant = this.getCurrentMerchant();
+        const stockItem = merchant?.items[stockIndex];
+        if (!stockItem || stockItem.quantity <= 0) return false;
+        
+        const price = this.items.getBuyPrice(stockItem, merchant.haggle, this.activeRun.faction);
+        if ((this.activeRun.resources.gold || 0) < price) {
+            console.warn(`⚠️ Cannot afford ${stockItem.name} (${price} gold)`);
+            return false;
+        }
+        
+        const { quantity, ...item } = stockItem;
+        this.activeRun.resources.gold -= price;
+        stockItem.quantity--;
+        if (stockItem.quantity <= 0) {
+            merchant.items.splice(stockIndex, 1);
+        }
+        
+        this.addToInventory([item]);
+        console.log(`🛒 Bought ${item.name} for ${price} gold`);
+        
+        this.refreshMerchant(merchant);
+        this.saveActiveRun();
+        return true;
+    }
+
+    /**
+     * Sell an inventory item to the current merchant
+     */
+    sellToMerchant(inventoryIndex) {
+        const merchant = this.getCurrentMerchant();
+        const item = this.activeRun?.inventory[inventoryIndex];
+        if (!merchant || !item) return false;
+        
+        const price = this.items.getSellPrice(item, merchant.haggle, this.activeRun.faction);
+        this.activeRun.inventory.splice(inventoryIndex, 1);
+        this.addResources({ gold: price });
+        
+        console.log(`💰 Sold ${item.name} for ${price} gold`);
+        
+        this.ui.updateInventoryView(this.activeRun.inventory);
+        this.refreshMerchant(merchant);
+        this.saveActiveRun();
+        return true;
+    }
+
+    /**
+     * Redraw the merchant screen after a trade
+     */
+    refreshMerchant(merchant) {
+        this.ui.showMerchant(merchant, this.getMerchantOffers(merchant));
+        this.ui.updateResourceDisplay(this.activeRun.resources);
+    }
+
+    /**
+     * Leave the merchant and return to the map
+     */
+    leaveMerchant() {
+        this.completeCurrentNode();
+    }
+
     /**
      * Handle resource node
      */
     handleResourceNode(node) {
-        const { resourceType, amount } = node.resource;
+        const { type: resourceType } = node.resource;
+        
+        // Add resources (the faction resource bonus may add more)
+        const amount = this.addResources({ [resourceType]: node.resource.amount })[resourceType];
+        this.ui.updateResourceDisplay(this.activeRun.resources);
         
         console.log(`💎 Found ${amount} ${resourceType}`);
         
-        // Add resources
-        this.activeRun.resources[resourceType] = (this.activeRun.resources[resourceType] || 0) + amount;
+        // Save the node as done right away so reloading can't collect it twice
+        this.completeCurrentNode(false);
         
         // Show resource pickup UI
-        this.ui.showResourcePickup(resourceType, amount);
+        this.ui.showResourcePickup(resourceType, amount, this.crafting.materials[resourceType]);
         
-        // Auto-advance to next node after short delay
+        // Return to the map after short delay
         setTimeout(() => {
-            this.moveToNextNode();
+            this.returnToMap();
         }, 2000);
     }
 
@@ -391,19 +1050,22 @@ export class GameEngine {
      * Handle rest node (healing)
      */
     handleRestNode(node) {
-        const healAmount = Math.floor(this.activeRun.character.maxHealth * 0.5);
-        const manaAmount = Math.floor(this.activeRun.character.maxMana * 0.5);
+        const character = this.activeRun.character;
         
-        this.activeRun.character.heal(healAmount);
-        this.activeRun.character.restoreMana(manaAmount);
+        const healAmount = character.heal(Math.floor(character.maxHealth * 0.5));
+        const manaAmount = character.restoreMana(Math.floor(character.maxMana * 0.5));
         
         console.log(`💚 Rested: +${healAmount} HP, +${manaAmount} MP`);
         
+        // Save the node as done right away so reloading can't rest twice
+        this.completeCurrentNode(false);
+        
+        this.ui.updateCharacterInfo(character);
         this.ui.showRestEffect(healAmount, manaAmount);
         
-        // Auto-advance after rest
+        // Return to the map after rest
         setTimeout(() => {
-            this.moveToNextNode();
+            this.returnToMap();
         }, 2000);
     }
 
@@ -419,8 +1081,10 @@ export class GameEngine {
         character.baseStats.intelligence += bonuses.startingStats;
         character.baseStats.vitality += bonuses.startingStats;
         
-        // Recalculate derived stats
+        // Recalculate derived stats and start the run at full strength
         character.recalculateStats();
+        character.hp = character.maxHealth;
+        character.mana = character.maxMana;
         
         console.log('📈 Applied meta-progression bonuses to character');
     }
@@ -481,6 +1145,9 @@ export class GameEngine {
         // Add echoes
         this.metaProgression.echoes += rewards.echoes;
         
+        // Bring materials home to the forge
+        rewards.bankedMaterials = this.crafting.bankMaterials(rewards.resources, victory);
+        
         // Update building experience
         Object.keys(this.metaProgression.buildings).forEach(buildingType => {
             const expGain = victory ? 10 : 5;
@@ -492,11 +1159,31 @@ export class GameEngine {
             const faction = this.activeRun.faction;
             const repGain = victory ? 25 : 10;
             this.metaProgression.factionReputations[faction].reputation += repGain;
+            this.updateFactionLevel(faction);
         }
         
         console.log(`💰 Applied rewards: ${rewards.echoes} echoes`);
     }
 
+    /**
+     * Raise a faction's level once its reputation is high enough, announcing newly granted skills
+     */
+    updateFactionLevel(factionName) {
+        const standing = this.metaProgression.factionReputations[factionName];
+        const level = this.entities.getFactionLevel(standing.reputation);
+        if (level <= standing.level) return;
+        
+        const skills = [];
+        for (let reached = standing.level + 1; reached <= level; reached++) {
+            skills.push(...this.entities.getFactionSkillsForLevel(factionName, reached));
+        }
+        
+        standing.level = level;
+        console.log(`🏛️ ${factionName} reputation reached level ${level}`);
+        
+        this.fireEvent('factionLevelUp', { faction: factionName, level, skills });
+    }
+
     /**
      * Update run statistics
      */
@@ -522,6 +1209,7 @@ export class GameEngine {
         // Gold multiplier based on forge level
         const forgeLevel = this.metaProgression.buildings.forge.level;
         bonuses.goldMultiplier = 1.0 + (forgeLevel - 1) * 0.15;
+        bonuses.craftingSpeed = 1.0 + (forgeLevel - 1) * 0.25;
         
         // Starting stats based on altar level
         const altarLevel = this.metaProgression.buildings.altar.level;
@@ -578,6 +1266,52 @@ export class GameEngine {
         return this.metaProgression.echoes >= cost;
     }
 
+    /**
+     * Start crafting a recipe at the forge and save the spent materials
+     */
+    async craftRecipe(recipeId) {
+        const job = this.crafting.startCraft(recipeId);
+        if (!job) return null;
+        
+        await this.saveMetaProgression();
+        return job;
+    }
+
+    /**
+     * Save meta-progression (Sets are stored as arrays)
+     */
+    async saveMetaProgression() {
+        if (!this.persistence) return;
+        
+        await this.persistence.saveMetaProgression({
+            ...this.metaProgression,
+            unlockedRecipes: [...this.metaProgression.unlockedRecipes],
+            unlockedClasses: [...this.metaProgression.unlockedClasses],
+            discoveredMaterials: [...this.metaProgression.discoveredMaterials]
+        });
+    }
+
+    /**
+     * Load saved meta-progression over the defaults
+     */
+    async loadMetaProgression() {
+        if (!this.persistence) return;
+        
+        const saved = await this.persistence.loadMetaProgression();
+        if (!saved) return;
+        
+        this.metaProgression = {
+            ...this.metaProgression,
+            ...saved,
+            unlockedRecipes: new Set(saved.unlockedRecipes || []),
+            unlockedClasses: new Set(saved.unlockedClasses || this.metaProgression.unlockedClasses),
+            discoveredMaterials: new Set(saved.discoveredMaterials || [])
+        };
+        
+        this.updateGlobalBonuses();
+        this.crafting.checkRecipeUnlocks();
+    }
+
     /**
      * Add items to run inventory
      */
@@ -588,20 +1322,168 @@ export class GameEngine {
             this.activeRun.inventory.push(item);
         });
         
-        this.ui.updateInventoryView();
+        this.ui.updateInventoryView(this.activeRun.inventory);
+    }
+
+    /**
+     * Remove an item from run inventory
+     */
+    removeFromInventory(inventoryIndex) {
+        if (!this.activeRun) return null;
+        
+        const [item] = this.activeRun.inventory.splice(inventoryIndex, 1);
+        this.ui.updateInventoryView(this.activeRun.inventory);
+        
+        return item || null;
+    }
+
+    /**
+     * Use a consumable from the inventory (in combat this takes the player's turn)
+     */
+    useItem(inventoryIndex) {
+        if (!this.activeRun) return false;
+        
+        if (this.combat.isActive) {
+            return this.combat.useItem(inventoryIndex);
+        }
+        
+        const item = this.activeRun.inventory[inventoryIndex];
+        if (!this.items.isUsable(item, false)) {
+            console.warn(`⚠️ ${item ? item.name : 'Item'} cannot be used here`);
+            return false;
+        }
+        
+        const character = this.activeRun.character;
+        const outcome = this.items.applyConsumable(item, character);
+        this.removeFromInventory(inventoryIndex);
+        
+        console.log(`🧪 Used ${item.name}: +${outcome.healed} HP, +${outcome.restored} MP`);
+        
+        this.ui.updateCharacterInfo(character);
+        this.saveActiveRun();
+        this.fireEvent('itemUsed', { item, outcome });
+        
+        return true;
+    }
+
+    /**
+     * Equip gear from the inventory, returning whatever was in that slot to the inventory
+     */
+    equipItem(inventoryIndex) {
+        if (!this.activeRun) return false;
+        
+        if (this.combat.isActive) {
+            console.warn('⚠️ Cannot change equipment during combat');
+            return false;
+        }
+        
+        const item = this.activeRun.inventory[inventoryIndex];
+        if (!item || item.type !== 'equipment') {
+            console.warn(`⚠️ ${item ? item.name : 'Item'} cannot be equipped`);
+            return false;
+        }
+        
+        const character = this.activeRun.character;
+        const previous = character.equipment[item.slot];
+        
+        this.activeRun.inventory.splice(inventoryIndex, 1);
+        character.equipment[item.slot] = item;
+        if (previous) {
+            this.activeRun.inventory.push(previous);
+        }
+        
+        this.refreshEquipmentStats(character);
+        console.log(`🛡️ Equipped ${item.name}${previous ? ` (replaced ${previous.name})` : ''}`);
+        
+        this.fireEvent('itemEquipped', { item, previous });
+        
+        return true;
     }
 
     /**
-     * Add resources to run
+     * Move equipped gear back into the inventory
+     */
+    unequipItem(slot) {
+        if (!this.activeRun) return false;
+        
+        if (this.combat.isActive) {
+            console.warn('⚠️ Cannot change equipment during combat');
+            return false;
+        }
+        
+        const character = this.activeRun.character;
+        const item = character.equipment[slot];
+        if (!item) return false;
+        
+        character.equipment[slot] = null;
+        this.activeRun.inventory.push(item);
+        
+        this.refreshEquipmentStats(character);
+        console.log(`🎒 Unequipped ${item.name}`);
+        
+        this.fireEvent('itemUnequipped', { item, slot });
+        
+        return true;
+    }
+
+    /**
+     * Add a skill to the character's combat loadout or take it out
+     */
+    toggleLoadoutSkill(skillIndex) {
+        if (!this.activeRun) return false;
+        
+        if (this.combat.isActive) {
+            console.warn('⚠️ Cannot change skills during combat');
+            return false;
+        }
+        
+        const character = this.activeRun.character;
+        const skill = character.skills[skillIndex];
+        if (!character.toggleLoadoutSkill(skillIndex)) {
+            console.warn(`⚠️ Loadout holds 1 to ${character.loadoutSize} skills`);
+            return false;
+        }
+        
+        console.log(`📘 ${skill.name} ${skill.inLoadout ? 'added to' : 'removed from'} loadout`);
+        this.ui.updateCharacterInfo(character);
+        this.saveActiveRun();
+        
+        this.fireEvent('loadoutChanged', { skill });
+        
+        return true;
+    }
+
+    /**
+     * Recalculate stats after a gear change (HP and mana stay within the new maximums)
+     */
+    refreshEquipmentStats(character) {
+        character.recalculateStats();
+        
+        this.ui.updateCharacterInfo(character);
+        this.ui.updateInventoryView(this.activeRun.inventory);
+        this.saveActiveRun();
+    }
+
+    /**
+     * Add resources to run, returning the amounts actually added
      */
     addResources(resources) {
-        if (!this.activeRun) return;
+        if (!this.activeRun) return {};
+        
+        // Gathered materials are boosted by the faction and passive resource bonuses; gold is not
+        const resourceBonus = this.activeRun.character.getBonus('resourceBonus');
+        const added = {};
         
         Object.keys(resources).forEach(resourceType => {
-            const amount = resources[resourceType];
+            const isMaterial = resourceType in this.crafting.materials;
+            const amount = isMaterial ? Math.round(resources[resourceType] * resourceBonus) : resources[resourceType];
+            
             this.activeRun.resources[resourceType] = 
                 (this.activeRun.resources[resourceType] || 0) + amount;
+            added[resourceType] = amount;
         });
+        
+        return added;
     }
 
     /**
@@ -652,14 +1534,26 @@ export class GameEngine {
         return 0;
     }
 
+    /**
+     * Create an inventory item from its id
+     */
+    createItem(itemId) {
+        return this.items.createItem(itemId);
+    }
+
     generateRewardItems(victory) {
         // TODO: Implement item generation system
         return [];
     }
 
+    /**
+     * Guaranteed high-rarity gear for defeating the run's boss
+     */
     generateBossItems(boss) {
-        // TODO: Implement boss-specific item generation
-        return [];
+        const rng = new SeededRandom(`${this.activeRun.seed}:boss-loot`);
+        const level = boss.level || this.activeRun.character.level;
+        
+        return [this.items.generateEquipment(rng, { level, minRarity: 'epic' })];
     }
 
     /**
@@ -682,8 +1576,20 @@ export class GameEngine {
         this.updateGlobalBonuses();
     }
 
+    /**
+     * Install a run, reviving a saved one (character model, flags, pending event and fight)
+     */
     setActiveRun(data) {
-        this.activeRun = data;
+        const { combat, pendingEventResult, lastSaved, ...run } = data;
+        
+        this.activeRun = {
+            ...run,
+            character: this.entities.loadCharacter(run.character),
+            flags: new Set(run.flags || []),
+            pendingLevelUps: run.pendingLevelUps
+        };
+        this.pendingEventResult = pendingEventResult || null;
+        this.savedCombat = combat || null;
         this.isInRun = true;
     }
 
@@ -3,11 +3,14 @@
  * Defines character classes, skills, progression, and enemy templates
  */
 
+import { Character } from './character.js';
+
 export class Entities {
     constructor() {
         this.gameEngine = null;
         
-        // Base character class templates
+        // Base character class templates. `skillUnlocks` is the class's skill progression:
+        // the level each skill unlocks at (level 1 skills are known from the start).
         this.classTemplates = {
             warrior: {
                 name: 'Warrior',
@@ -29,10 +32,10 @@ export class Entities {
                 baseMana: 30,
                 healthPerLevel: 15,
                 manaPerLevel: 3,
-                skills: [
-                    'slash', 'shield_bash', 'defensive_stance', 'charge', 
-                    'whirlwind', 'taunt', 'berserker_rage', 'guardian_strike'
-                ]
+                skillUnlocks: {
+                    slash: 1, shield_bash: 1, defensive_stance: 2, charge: 3,
+                    whirlwind: 4, taunt: 5, berserker_rage: 6, guardian_strike: 8
+                }
             },
             mage: {
                 name: 'Mage',
@@ -54,10 +57,10 @@ export class Entities {
                 baseMana: 80,
                 healthPerLevel: 8,
                 manaPerLevel: 12,
-                skills: [
-                    'magic_missile', 'fireball', 'ice_shard', 'lightning_bolt',
-                    'meteor', 'teleport', 'mana_shield', 'elemental_mastery'
-                ]
+                skillUnlocks: {
+                    magic_missile: 1, fireball: 1, ice_shard: 2, lightning_bolt: 3,
+                    mana_shield: 4, teleport: 5, meteor: 6, elemental_mastery: 8
+                }
             },
             rogue: {
                 name: 'Rogue',
@@ -79,10 +82,10 @@ export class Entities {
                 baseMana: 50,
                 healthPerLevel: 10,
                 manaPerLevel: 7,
-                skills: [
-                    'backstab', 'poison_blade', 'stealth', 'throwing_knife',
-                    'shadow_step', 'evasion', 'assassinate', 'smoke_bomb'
-                ]
+                skillUnlocks: {
+                    backstab: 1, throwing_knife: 1, poison_blade: 2, stealth: 3,
+                    evasion: 4, smoke_bomb: 5, shadow_step: 6, assassinate: 8
+                }
             },
             healer: {
                 name: 'Healer',
@@ -104,14 +107,17 @@ export class Entities {
                 baseMana: 70,
                 healthPerLevel: 12,
                 manaPerLevel: 10,
-                skills: [
-                    'heal', 'greater_heal', 'blessing', 'purify',
-                    'divine_shield', 'resurrection', 'holy_light', 'sanctuary'
-                ]
+                skillUnlocks: {
+                    heal: 1, holy_light: 1, blessing: 2, purify: 3,
+                    greater_heal: 4, divine_shield: 5, sanctuary: 6, resurrection: 8
+                }
             }
         };
 
-        // Skill definitions for all classes
+        // Skill definitions for all classes.
+        // `target` is 'self', 'enemy' or 'all_enemies'; `hits` repeats the strike (default 1).
+        // `element` (fire, ice, lightning, light, dark, nature) picks up matching faction bonuses.
+        // A status effect can set its own `target: 'self'` to land on the caster instead.
         this.skillTemplates = {
             // Warrior Skills
             slash: {
@@ -122,6 +128,7 @@ export class Entities {
                 cooldown: 0,
                 damage: 25,
                 type: 'physical',
+                target: 'enemy',
                 scalingFactor: 1.2,
                 criticalChance: 0.15,
                 accuracy: 0.95
@@ -134,6 +141,7 @@ export class Entities {
                 cooldown: 2,
                 damage: 15,
                 type: 'physical',
+                target: 'enemy',
                 scalingFactor: 0.8,
                 statusEffects: [{ type: 'stunned', duration: 1, chance: 0.3 }],
                 accuracy: 0.9
@@ -146,6 +154,7 @@ export class Entities {
                 cooldown: 4,
                 damage: 0,
                 type: 'buff',
+                target: 'self',
                 statusEffects: [{ type: 'defense_boost', duration: 3, chance: 1.0 }]
             },
             charge: {
@@ -156,20 +165,22 @@ export class Entities {
                 cooldown: 3,
                 damage: 40,
                 type: 'physical',
+                target: 'enemy',
                 scalingFactor: 1.5,
                 criticalChance: 0.25,
                 accuracy: 0.85
             },
             whirlwind: {
                 name: 'Whirlwind',
-                description: 'Spin attack hitting all nearby enemies',
+                description: 'Spin twice, hitting all nearby enemies',
                 icon: '🌪️',
                 manaCost: 25,
                 cooldown: 4,
-                damage: 30,
+                damage: 18,
                 type: 'physical',
-                scalingFactor: 1.0,
-                areaEffect: true,
+                target: 'all_enemies',
+                hits: 2,
+                scalingFactor: 0.6,
                 accuracy: 0.9
             },
             taunt: {
@@ -180,6 +191,7 @@ export class Entities {
                 cooldown: 2,
                 damage: 0,
                 type: 'debuff',
+                target: 'enemy',
                 statusEffects: [{ type: 'taunted', duration: 2, chance: 0.8 }]
             },
             berserker_rage: {
@@ -190,6 +202,7 @@ export class Entities {
                 cooldown: 6,
                 damage: 0,
                 type: 'buff',
+                target: 'self',
                 statusEffects: [
                     { type: 'strength_boost', duration: 4, chance: 1.0 },
                     { type: 'defense_weakness', duration: 4, chance: 1.0 }
@@ -204,6 +217,7 @@ export class Entities {
                 damage: 35,
                 healing: 20,
                 type: 'physical',
+                target: 'enemy',
                 scalingFactor: 1.3,
                 criticalChance: 0.2
             },
@@ -217,6 +231,7 @@ export class Entities {
                 cooldown: 0,
                 damage: 20,
                 type: 'magic',
+                target: 'enemy',
                 scalingFactor: 1.5,
                 accuracy: 0.98
             },
@@ -228,9 +243,10 @@ export class Entities {
                 cooldown: 2,
                 damage: 35,
                 type: 'magic',
+                element: 'fire',
+                target: 'all_enemies',
                 scalingFactor: 1.8,
-                statusEffects: [{ type: 'burning', duration: 2, chance: 0.4 }],
-                areaEffect: true
+                statusEffects: [{ type: 'burning', duration: 2, chance: 0.4 }]
             },
             ice_shard: {
                 name: 'Ice Shard',
@@ -240,6 +256,8 @@ export class Entities {
                 cooldown: 1,
                 damage: 25,
                 type: 'magic',
+                element: 'ice',
+                target: 'enemy',
                 scalingFactor: 1.4,
                 statusEffects: [{ type: 'slow', duration: 2, chance: 0.5 }]
             },
@@ -251,6 +269,8 @@ export class Entities {
                 cooldown: 3,
                 damage: 40,
                 type: 'magic',
+                element: 'lightning',
+                target: 'enemy',
                 scalingFactor: 1.6,
                 criticalChance: 0.3,
                 accuracy: 1.0 // Lightning never misses
@@ -263,8 +283,9 @@ export class Entities {
                 cooldown: 6,
                 damage: 60,
                 type: 'magic',
+                element: 'fire',
+                target: 'all_enemies',
                 scalingFactor: 2.0,
-                areaEffect: true,
                 accuracy: 0.8
             },
             teleport: {
@@ -275,6 +296,7 @@ export class Entities {
                 cooldown: 4,
                 damage: 0,
                 type: 'utility',
+                target: 'self',
                 statusEffects: [{ type: 'evasion_boost', duration: 2, chance: 1.0 }]
             },
             mana_shield: {
@@ -285,6 +307,7 @@ export class Entities {
                 cooldown: 5,
                 damage: 0,
                 type: 'buff',
+                target: 'self',
                 statusEffects: [{ type: 'mana_shield', duration: 4, chance: 1.0 }]
             },
             elemental_mastery: {
@@ -295,6 +318,7 @@ export class Entities {
                 cooldown: 7,
                 damage: 0,
                 type: 'buff',
+                target: 'self',
                 statusEffects: [{ type: 'elemental_boost', duration: 5, chance: 1.0 }]
             },
 
@@ -307,6 +331,7 @@ export class Entities {
                 cooldown: 1,
                 damage: 20,
                 type: 'physical',
+                target: 'enemy',
                 scalingFactor: 1.3,
                 criticalChance: 0.5,
                 accuracy: 0.9
@@ -319,6 +344,7 @@ export class Entities {
                 cooldown: 2,
                 damage: 18,
                 type: 'physical',
+                target: 'enemy',
                 scalingFactor: 1.0,
                 statusEffects: [{ type: 'poison', duration: 4, chance: 0.8 }]
             },
@@ -330,6 +356,7 @@ export class Entities {
                 cooldown: 4,
                 damage: 0,
                 type: 'buff',
+                target: 'self',
                 statusEffects: [{ type: 'stealth', duration: 3, chance: 1.0 }]
             },
             throwing_knife: {
@@ -340,6 +367,7 @@ export class Entities {
                 cooldown: 1,
                 damage: 22,
                 type: 'ranged',
+                target: 'enemy',
                 scalingFactor: 1.1,
                 statusEffects: [{ type: 'bleeding', duration: 3, chance: 0.6 }],
                 accuracy: 0.95
@@ -352,19 +380,22 @@ export class Entities {
                 cooldown: 3,
                 damage: 30,
                 type: 'physical',
+                element: 'dark',
+                target: 'enemy',
                 scalingFactor: 1.4,
                 accuracy: 1.0, // Always hits
                 criticalChance: 0.3
             },
             evasion: {
                 name: 'Evasion',
-                description: 'Greatly increase dodge chance',
+                description: 'Greatly increase dodge chance and sidestep telegraphed attacks',
                 icon: '💨',
                 manaCost: 18,
                 cooldown: 3,
                 damage: 0,
                 type: 'buff',
-                statusEffects: [{ type: 'speed_boost', duration: 3, chance: 1.0 }]
+                target: 'self',
+                statusEffects: [{ type: 'evasion_boost', duration: 3, chance: 1.0 }]
             },
             assassinate: {
                 name: 'Assassinate',
@@ -374,6 +405,7 @@ export class Entities {
                 cooldown: 6,
                 damage: 80,
                 type: 'physical',
+                target: 'enemy',
                 scalingFactor: 2.0,
                 criticalChance: 0.7,
                 accuracy: 0.8
@@ -386,9 +418,10 @@ export class Entities {
                 cooldown: 5,
                 damage: 0,
                 type: 'debuff',
+                target: 'all_enemies',
                 statusEffects: [
                     { type: 'blinded', duration: 2, chance: 0.9 },
-                    { type: 'stealth', duration: 2, chance: 1.0 }
+                    { type: 'stealth', duration: 2, chance: 1.0, target: 'self' }
                 ]
             },
 
@@ -402,6 +435,7 @@ export class Entities {
                 damage: 0,
                 healing: 35,
                 type: 'magic',
+                target: 'self',
                 scalingFactor: 1.5
             },
             greater_heal: {
@@ -413,6 +447,7 @@ export class Entities {
                 damage: 0,
                 healing: 70,
                 type: 'magic',
+                target: 'self',
                 scalingFactor: 2.0
             },
             blessing: {
@@ -423,6 +458,7 @@ export class Entities {
                 cooldown: 4,
                 damage: 0,
                 type: 'buff',
+                target: 'self',
                 statusEffects: [{ type: 'blessed', duration: 4, chance: 1.0 }]
             },
             purify: {
@@ -433,6 +469,7 @@ export class Entities {
                 cooldown: 3,
                 damage: 0,
                 type: 'utility',
+                target: 'self',
                 statusEffects: [{ type: 'purified', duration: 1, chance: 1.0 }]
             },
             divine_shield: {
@@ -443,6 +480,7 @@ export class Entities {
                 cooldown: 6,
                 damage: 0,
                 type: 'buff',
+                target: 'self',
                 statusEffects: [{ type: 'divine_shield', duration: 2, chance: 1.0 }]
             },
             resurrection: {
@@ -453,6 +491,7 @@ export class Entities {
                 cooldown: 10,
                 damage: 0,
                 type: 'utility',
+                target: 'self',
                 statusEffects: [{ type: 'resurrection', duration: 10, chance: 1.0 }]
             },
             holy_light: {
@@ -464,6 +503,8 @@ export class Entities {
                 damage: 50, // vs undead
                 healing: 25, // to self
                 type: 'magic',
+                element: 'light',
+                target: 'enemy',
                 scalingFactor: 1.8
             },
             sanctuary: {
@@ -475,10 +516,107 @@ export class Entities {
                 damage: 0,
                 healing: 15,
                 type: 'magic',
+                target: 'self',
                 statusEffects: [{ type: 'regeneration', duration: 5, chance: 1.0 }]
+            },
+
+            // Faction Skills (`factionLevel` is the reputation level that grants them)
+            divine_protection: {
+                name: 'Divine Protection',
+                description: 'Mend wounds and raise a holy guard',
+                icon: '🙏',
+                manaCost: 20,
+                cooldown: 5,
+                damage: 0,
+                healing: 20,
+                type: 'buff',
+                element: 'light',
+                target: 'self',
+                scalingFactor: 0.8,
+                faction: 'order',
+                factionLevel: 1,
+                statusEffects: [{ type: 'defense_boost', duration: 3, chance: 1.0 }]
+            },
+            light_beam: {
+                name: 'Light Beam',
+                description: 'Searing light that may blind the target',
+                icon: '🔆',
+                manaCost: 25,
+                cooldown: 3,
+                damage: 40,
+                type: 'magic',
+                element: 'light',
+                target: 'enemy',
+                scalingFactor: 1.4,
+                faction: 'order',
+                factionLevel: 2,
+                statusEffects: [{ type: 'blinded', duration: 2, chance: 0.4 }]
+            },
+            shadow_strike: {
+                name: 'Shadow Strike',
+                description: 'A strike from the shadows that saps strength',
+                icon: '🌑',
+                manaCost: 15,
+                cooldown: 2,
+                damage: 35,
+                type: 'physical',
+                element: 'dark',
+                target: 'enemy',
+                scalingFactor: 1.3,
+                criticalChance: 0.35,
+                faction: 'shadow',
+                factionLevel: 1,
+                statusEffects: [{ type: 'weakness', duration: 2, chance: 0.4 }]
+            },
+            darkness: {
+                name: 'Darkness',
+                description: 'Shroud the battlefield, blinding all enemies',
+                icon: '🌌',
+                manaCost: 30,
+                cooldown: 5,
+                damage: 0,
+                type: 'debuff',
+                element: 'dark',
+                target: 'all_enemies',
+                faction: 'shadow',
+                factionLevel: 2,
+                statusEffects: [{ type: 'blinded', duration: 3, chance: 0.8 }]
+            },
+            nature_blessing: {
+                name: 'Nature\'s Blessing',
+                description: 'Heal and regenerate over time',
+                icon: '🍃',
+                manaCost: 20,
+                cooldown: 5,
+                damage: 0,
+                healing: 25,
+                type: 'magic',
+                element: 'nature',
+                target: 'self',
+                scalingFactor: 1.0,
+                faction: 'nature',
+                factionLevel: 1,
+                statusEffects: [{ type: 'regeneration', duration: 3, chance: 1.0 }]
+            },
+            thorn_armor: {
+                name: 'Thorn Armor',
+                description: 'Bark and thorns that hurt whoever strikes you',
+                icon: '🌵',
+                manaCost: 25,
+                cooldown: 6,
+                damage: 0,
+                type: 'buff',
+                element: 'nature',
+                target: 'self',
+                faction: 'nature',
+                factionLevel: 2,
+                statusEffects: [{ type: 'thorns', duration: 4, chance: 1.0 }]
             }
         };
 
+        // Reputation needed to reach each faction level (index 0 is level 1)
+        this.factionReputationLevels = [0, 50, 150, 300, 500];
+
         // Faction bonuses
         this.factionBonuses = {
             order: {
@@ -513,6 +651,22 @@ export class Entities {
             }
         };
 
+        // Passives offered on level up. `bonuses` are multipliers like the faction bonuses
+        // and stack with them (see Character.getBonus).
+        this.passiveTemplates = {
+            toughness: { name: 'Toughness', icon: '🪨', description: '+10% defense', bonuses: { defenseBonus: 1.1 } },
+            keen_eye: { name: 'Keen Eye', icon: '🎯', description: '+25% critical chance', bonuses: { criticalBonus: 1.25 } },
+            mending: { name: 'Mending', icon: '💚', description: '+20% healing', bonuses: { healingBonus: 1.2 } },
+            vigor: { name: 'Vigor', icon: '🌱', description: '+30% regeneration', bonuses: { regenerationBonus: 1.3 } },
+            scavenger: { name: 'Scavenger', icon: '🎒', description: '+20% gathered materials', bonuses: { resourceBonus: 1.2 } },
+            ember_heart: { name: 'Ember Heart', icon: '🔥', description: '+15% fire damage', bonuses: { fireDamageBonus: 1.15 } },
+            frost_heart: { name: 'Frost Heart', icon: '❄️', description: '+15% ice damage', bonuses: { iceDamageBonus: 1.15 } },
+            storm_heart: { name: 'Storm Heart', icon: '⚡', description: '+15% lightning damage', bonuses: { lightningDamageBonus: 1.15 } }
+        };
+
+        // How much a stat upgrade on level up raises its stat
+        this.levelUpStatGain = 2;
+
         console.log('👥 Entities system initialized');
     }
 
@@ -525,58 +679,29 @@ export class Entities {
     }
 
     /**
-     * Create a new character
+     * Create a new character. `factionLevel` is the player's reputation level with the faction.
      */
-    createCharacter(className, factionName) {
+    createCharacter(className, factionName, factionLevel = 1) {
         const classTemplate = this.classTemplates[className];
         if (!classTemplate) {
             throw new Error(`Unknown class: ${className}`);
         }
 
-        const character = {
+        const character = new Character({
             name: classTemplate.name,
             className: className,
             faction: factionName,
-            level: 1,
-            experience: 0,
-            experienceToNext: 100,
-
-            // Base stats (will be modified by equipment/buffs)
-            baseStats: { ...classTemplate.baseStats },
-            
-            // Current effective stats
-            strength: classTemplate.baseStats.strength,
-            agility: classTemplate.baseStats.agility,
-            intelligence: classTemplate.baseStats.intelligence,
-            vitality: classTemplate.baseStats.vitality,
-
-            // Derived stats
-            maxHealth: classTemplate.baseHealth + (classTemplate.baseStats.vitality * 5),
-            maxMana: classTemplate.baseMana + (classTemplate.baseStats.intelligence * 3),
-            attack: classTemplate.baseStats.strength,
-            defense: Math.floor(classTemplate.baseStats.vitality * 0.8),
-            speed: classTemplate.baseStats.agility,
-
-            // Current resources
-            hp: 0, // Will be set to max after creation
-            mana: 0, // Will be set to max after creation
-
-            // Skills
-            skills: this.createCharacterSkills(className),
-            
-            // Equipment and inventory (for future expansion)
-            equipment: {},
-            
-            // Status effects
-            statusEffects: new Map(),
-
-            // Growth rates for leveling
-            growthRates: { ...classTemplate.growthRates }
-        };
-
-        // Set current HP/MP to max
-        character.hp = character.maxHealth;
-        character.mana = character.maxMana;
+            baseHealth: classTemplate.baseHealth,
+            baseMana: classTemplate.baseMana,
+            healthPerLevel: classTemplate.healthPerLevel,
+            manaPerLevel: classTemplate.manaPerLevel,
+            baseStats: classTemplate.baseStats,
+            growthRates: classTemplate.growthRates,
+            skills: [
+                ...this.createCharacterSkills(className),
+                ...this.createFactionSkills(factionName, factionLevel)
+            ]
+        });
 
         // Apply faction bonuses
         this.applyFactionBonuses(character, factionName);
@@ -586,20 +711,22 @@ export class Entities {
     }
 
     /**
-     * Create skills for character class
+     * Create skills for character class (locked until their unlock level)
      */
     createCharacterSkills(className) {
         const classTemplate = this.classTemplates[className];
         const skills = [];
 
-        classTemplate.skills.forEach(skillName => {
+        Object.entries(classTemplate.skillUnlocks).forEach(([skillName, requiredLevel]) => {
             const skillTemplate = this.skillTemplates[skillName];
             if (skillTemplate) {
                 skills.push({
                     ...skillTemplate,
+                    id: skillName,
                     currentCooldown: 0,
                     level: 1,
-                    unlocked: true
+                    requiredLevel,
+                    unlocked: requiredLevel <= 1
                 });
             }
         });
@@ -607,6 +734,44 @@ export class Entities {
         return skills;
     }
 
+    /**
+     * Create the faction skills the player's reputation level has earned
+     */
+    createFactionSkills(factionName, factionLevel) {
+        const faction = this.factionBonuses[factionName];
+        if (!faction) return [];
+
+        return faction.skills
+            .filter(skillName => this.skillTemplates[skillName] && factionLevel >= this.skillTemplates[skillName].factionLevel)
+            .map(skillName => ({
+                ...this.skillTemplates[skillName],
+                id: skillName,
+                currentCooldown: 0,
+                level: 1,
+                unlocked: true
+            }));
+    }
+
+    /**
+     * Faction level reached with a given amount of reputation
+     */
+    getFactionLevel(reputation) {
+        return this.factionReputationLevels.filter(required => reputation >= required).length;
+    }
+
+    /**
+     * Names of the faction skills granted at exactly this faction level
+     */
+    getFactionSkillsForLevel(factionName, factionLevel) {
+        const faction = this.factionBonuses[factionName];
+        if (!faction) return [];
+
+        return faction.skills
+            .map(skillName => this.skillTemplates[skillName])
+            .filter(skillTemplate => skillTemplate && skillTemplate.factionLevel === factionLevel)
+            .map(skillTemplate => skillTemplate.name);
+    }
+
     /**
      * Apply faction bonuses to character
      */
@@ -614,118 +779,95 @@ export class Entities {
         const faction = this.factionBonuses[factionName];
         if (!faction) return;
 
-        character.factionBonuses = faction.bonuses;
+        character.factionBonuses = { ...faction.bonuses };
         
         // Apply immediate bonuses
-        if (faction.bonuses.defenseBonus) {
-            character.defense = Math.floor(character.defense * faction.bonuses.defenseBonus);
-        }
+        character.recalculateStats();
 
         console.log(`✨ Applied ${faction.name} bonuses to character`);
     }
 
     /**
-     * Add experience to character and handle level up
+     * Add experience to character and handle level up (`rng` rolls the stat growth)
      */
-    addExperienceToCharacter(character, experience) {
-        character.experience += experience;
-
-        while (character.experience >= character.experienceToNext) {
-            this.levelUpCharacter(character);
-        }
+    addExperienceToCharacter(character, experience, rng) {
+        return character.addExperience(experience, rng);
     }
 
     /**
-     * Level up character
+     * Roll three level up upgrades: rank up a skill, learn a passive, raise a stat.
+     * When no skill can rank up or every passive is known, another stat takes its place.
      */
-    levelUpCharacter(character) {
-        const oldLevel = character.level;
-        character.level++;
-        character.experience -= character.experienceToNext;
-        character.experienceToNext = Math.floor(character.experienceToNext * 1.2);
-
-        // Increase stats based on growth rates
-        Object.keys(character.growthRates).forEach(stat => {
-            const increase = Math.floor(character.growthRates[stat] + Math.random());
-            character.baseStats[stat] += increase;
-            character[stat] += increase;
-        });
-
-        // Increase health and mana
-        const classTemplate = this.classTemplates[character.className];
-        const healthIncrease = classTemplate.healthPerLevel + Math.floor(character.vitality * 0.5);
-        const manaIncrease = classTemplate.manaPerLevel + Math.floor(character.intelligence * 0.3);
-
-        character.maxHealth += healthIncrease;
-        character.maxMana += manaIncrease;
-        character.hp += healthIncrease; // Level up heals
-        character.mana += manaIncrease;
-
-        // Recalculate derived stats
-        this.recalculateCharacterStats(character);
+    createLevelUpChoices(character, rng) {
+        const choices = [];
+
+        const rankable = character.skills.filter(skill => skill.unlocked && (skill.level || 1) < character.maxSkillRank);
+        if (rankable.length > 0) {
+            const skill = rng.choice(rankable);
+            choices.push({
+                type: 'skill_rank',
+                skillIndex: character.skills.indexOf(skill),
+                icon: skill.icon || '⚡',
+                name: `${skill.name} rank ${(skill.level || 1) + 1}`,
+                description: 'More damage and healing, lower cost, likelier effects'
+            });
+        }
 
-        console.log(`📈 ${character.name} leveled up! ${oldLevel} → ${character.level}`);
-        
-        // Unlock new skills at certain levels
-        this.checkSkillUnlocks(character);
+        const passives = Object.keys(this.passiveTemplates).filter(passiveId => !character.hasPassive(passiveId));
+        if (passives.length > 0) {
+            const passiveId = rng.choice(passives);
+            const passive = this.passiveTemplates[passiveId];
+            choices.push({
+                type: 'passive',
+                passive: passiveId,
+                icon: passive.icon,
+                name: passive.name,
+                description: passive.description
+            });
+        }
 
-        return {
-            oldLevel,
-            newLevel: character.level,
-            statGains: {
-                health: healthIncrease,
-                mana: manaIncrease
-            }
-        };
-    }
+        // Fill the rest with different stats
+        const stats = ['strength', 'agility', 'intelligence', 'vitality'];
+        while (choices.length < 3) {
+            const stat = rng.choice(stats.filter(candidate => !choices.some(choice => choice.stats?.[candidate])));
+            choices.push({
+                type: 'stats',
+                stats: { [stat]: this.levelUpStatGain },
+                icon: '💪',
+                name: `+${this.levelUpStatGain} ${stat.charAt(0).toUpperCase() + stat.slice(1)}`,
+                description: 'Permanent stat increase'
+            });
+        }
 
-    /**
-     * Check and unlock new skills
-     */
-    checkSkillUnlocks(character) {
-        character.skills.forEach(skill => {
-            if (!skill.unlocked) {
-                const requiredLevel = skill.requiredLevel || 1;
-                if (character.level >= requiredLevel) {
-                    skill.unlocked = true;
-                    console.log(`🆕 ${character.name} unlocked skill: ${skill.name}`);
-                }
-            }
-        });
+        return choices;
     }
 
     /**
      * Recalculate all character stats
      */
     recalculateCharacterStats(character) {
-        character.attack = character.strength + Math.floor(character.level * 0.5);
-        character.defense = Math.floor(character.vitality * 0.8) + Math.floor(character.level * 0.3);
-        character.speed = character.agility + Math.floor(character.level * 0.2);
-
-        // Apply faction bonuses
-        if (character.factionBonuses) {
-            if (character.factionBonuses.defenseBonus) {
-                character.defense = Math.floor(character.defense * character.factionBonuses.defenseBonus);
-            }
-        }
+        character.recalculateStats();
     }
 
     /**
      * Heal character
      */
     healCharacter(character, amount) {
-        const oldHp = character.hp;
-        character.hp = Math.min(character.maxHealth, character.hp + amount);
-        return character.hp - oldHp; // Actual healing done
+        return character.heal(amount);
     }
 
     /**
      * Restore character mana
      */
     restoreMana(character, amount) {
-        const oldMp = character.mana;
-        character.mana = Math.min(character.maxMana, character.mana + amount);
-        return character.mana - oldMp; // Actual mana restored
+        return character.restoreMana(amount);
+    }
+
+    /**
+     * Rebuild a saved character
+     */
+    loadCharacter(data) {
+        return Character.fromJSON(data);
     }
 
     /**
@@ -0,0 +1,500 @@
+/**
+ * Echoes of Elaria - Item System
+ * Item definitions, region-aware merchant stock, and pricing rules
+ */
+
+export class Items {
+    constructor() {
+        this.gameEngine = null;
+
+        // Item definitions. `regions` limits where merchants stock the item ('any' = everywhere).
+        // Consumable `effect`: flat `heal`/`mana`, `healPercent`/`manaPercent` of max,
+        // `cure` (status effects removed) and `status` (effect applied to the user in combat)
+        this.itemTemplates = {
+            // Consumables
+            health_potion: {
+                name: 'Health Potion',
+                description: 'Restores 50 HP',
+                icon: '🧪',
+                type: 'consumable',
+                rarity: 'common',
+                value: 25,
+                effect: { heal: 50 },
+                regions: 'any'
+            },
+            greater_health_potion: {
+                name: 'Greater Health Potion',
+                description: 'Restores 120 HP',
+                icon: '❤️',
+                type: 'consumable',
+                rarity: 'uncommon',
+                value: 60,
+                effect: { heal: 120 },
+                regions: ['desert', 'ice', 'ruins']
+            },
+            mana_potion: {
+                name: 'Mana Potion',
+                description: 'Restores 40 MP',
+                icon: '🔷',
+                type: 'consumable',
+                rarity: 'common',
+                value: 30,
+                effect: { mana: 40 },
+                regions: 'any'
+            },
+            strength_elixir: {
+                name: 'Strength Elixir',
+                description: 'Increases attack for a few turns',
+                icon: '💪',
+                type: 'consumable',
+                rarity: 'uncommon',
+                value: 45,
+                effect: { status: { type: 'strength_boost', duration: 3 } },
+                combatOnly: true,
+                regions: 'any'
+            },
+            water_bottle: {
+                name: 'Water Bottle',
+                description: 'Fresh water. Restores 20 HP and 10 MP',
+                icon: '💧',
+                type: 'consumable',
+                rarity: 'common',
+                value: 10,
+                effect: { heal: 20, mana: 10 },
+                regions: ['desert']
+            },
+            herbal_salve: {
+                name: 'Herbal Salve',
+                description: 'Soothing herbs. Restores 30 HP and cures poison',
+                icon: '🌿',
+                type: 'consumable',
+                rarity: 'common',
+                value: 20,
+                effect: { heal: 30, cure: ['poison'] },
+                regions: ['forest']
+            },
+            antidote: {
+                name: 'Antidote',
+                description: 'Cures poison and bleeding',
+                icon: '💚',
+                type: 'consumable',
+                rarity: 'common',
+                value: 20,
+                effect: { cure: ['poison', 'bleeding'] },
+                combatOnly: true,
+                regions: ['forest', 'desert']
+            },
+            warming_draught: {
+                name: 'Warming Draught',
+                description: 'Thaws frozen limbs and restores 40 HP',
+                icon: '🔥',
+                type: 'consumable',
+                rarity: 'uncommon',
+                value: 35,
+                effect: { heal: 40, cure: ['frozen', 'slow'] },
+                regions: ['ice']
+            },
+            holy_water: {
+                name: 'Holy Water',
+                description: 'Removes curses and restores 30 MP',
+                icon: '⛲',
+                type: 'consumable',
+                rarity: 'uncommon',
+                value: 40,
+                effect: { mana: 30, cure: ['curse', 'weakness'] },
+                regions: ['ruins']
+            },
+            phoenix_feather: {
+                name: 'Phoenix Feather',
+                description: 'Fully restores HP and MP',
+                icon: '🪶',
+                type: 'consumable',
+                rarity: 'rare',
+                value: 150,
+                effect: { healPercent: 1.0, manaPercent: 1.0 },
+                regions: ['desert', 'ruins']
+            },
+
+            // Equipment bases (rolled into drops by generateEquipment, not stocked by merchants)
+            iron_sword: {
+                name: 'Iron Sword',
+                description: 'A reliable blade',
+                icon: '🗡️',
+                type: 'equipment',
+                slot: 'weapon',
+                rarity: 'common',
+                value: 40,
+                stats: { strength: 3 },
+                regions: []
+            },
+            war_hammer: {
+                name: 'War Hammer',
+                description: 'Heavy and slow, but crushing',
+                icon: '🔨',
+                type: 'equipment',
+                slot: 'weapon',
+                rarity: 'common',
+                value: 45,
+                stats: { strength: 5, speed: -1 },
+                regions: []
+            },
+            oak_staff: {
+                name: 'Oak Staff',
+                description: 'Channels arcane energy',
+                icon: '🪄',
+                type: 'equipment',
+                slot: 'weapon',
+                rarity: 'common',
+                value: 40,
+                stats: { intelligence: 3 },
+                regions: []
+            },
+            steel_dagger: {
+                name: 'Steel Dagger',
+                description: 'Quick and precise',
+                icon: '🔪',
+                type: 'equipment',
+                slot: 'weapon',
+                rarity: 'common',
+                value: 40,
+                stats: { agility: 3 },
+                regions: []
+            },
+            leather_armor: {
+                name: 'Leather Armor',
+                description: 'Light protection that does not slow you down',
+                icon: '🦺',
+                type: 'equipment',
+                slot: 'armor',
+                rarity: 'common',
+                value: 35,
+                stats: { defense: 2, agility: 1 },
+                regions: []
+            },
+            chain_mail: {
+                name: 'Chain Mail',
+                description: 'Sturdy interlocking rings',
+                icon: '⛓️',
+                type: 'equipment',
+                slot: 'armor',
+                rarity: 'common',
+                value: 45,
+                stats: { defense: 5, speed: -1 },
+                regions: []
+            },
+            mage_robe: {
+                name: 'Mage Robe',
+                description: 'Embroidered with focusing runes',
+                icon: '🥻',
+                type: 'equipment',
+                slot: 'armor',
+                rarity: 'common',
+                value: 35,
+                stats: { defense: 1, intelligence: 2 },
+                regions: []
+            },
+            bone_charm: {
+                name: 'Bone Charm',
+                description: 'Wards off ill fortune',
+                icon: '📿',
+                type: 'equipment',
+                slot: 'accessory',
+                rarity: 'common',
+                value: 30,
+                stats: { vitality: 2 },
+                regions: []
+            },
+            silver_ring: {
+                name: 'Silver Ring',
+                description: 'Cool to the touch',
+                icon: '💍',
+                type: 'equipment',
+                slot: 'accessory',
+                rarity: 'common',
+                value: 30,
+                stats: { intelligence: 1, agility: 1 },
+                regions: []
+            },
+            feather_amulet: {
+                name: 'Feather Amulet',
+                description: 'Lightens your step',
+                icon: '🪶',
+                type: 'equipment',
+                slot: 'accessory',
+                rarity: 'common',
+                value: 30,
+                stats: { speed: 2 },
+                regions: []
+            },
+
+            // Valuables (sell only)
+            trophy: {
+                name: 'Trophy',
+                description: 'A trophy proving your victory',
+                icon: '🏆',
+                type: 'trophy',
+                rarity: 'rare',
+                value: 100,
+                regions: []
+            }
+        };
+
+        // Merchant stock weight per rarity
+        this.rarityWeights = {
+            common: 60,
+            uncommon: 30,
+            rare: 10
+        };
+
+        // Equipment slots a character can fill
+        this.equipmentSlots = ['weapon', 'armor', 'accessory'];
+
+        // Equipment rarity tiers: drop weight, base stat multiplier, affix count and value multiplier
+        this.rarityTiers = {
+            common: { dropWeight: 55, statMultiplier: 1.0, affixes: 0, valueMultiplier: 1.0 },
+            uncommon: { dropWeight: 28, statMultiplier: 1.2, affixes: 1, valueMultiplier: 1.5 },
+            rare: { dropWeight: 12, statMultiplier: 1.4, affixes: 2, valueMultiplier: 2.5 },
+            epic: { dropWeight: 4, statMultiplier: 1.7, affixes: 2, valueMultiplier: 4.0, affixBonus: 1 },
+            legendary: { dropWeight: 1, statMultiplier: 2.0, affixes: 2, valueMultiplier: 7.0, affixBonus: 2 }
+        };
+
+        // Equipment affixes: stat ranges rolled onto gear (at most one prefix and one suffix)
+        this.affixes = {
+            sturdy: { name: 'Sturdy', position: 'prefix', stats: { defense: [1, 3] } },
+            swift: { name: 'Swift', position: 'prefix', stats: { speed: [1, 2] } },
+            mighty: { name: 'Mighty', position: 'prefix', stats: { strength: [1, 3] } },
+            arcane: { name: 'Arcane', position: 'prefix', stats: { intelligence: [1, 3] } },
+            of_the_bear: { name: 'of the Bear', position: 'suffix', stats: { vitality: [1, 3] } },
+            of_the_fox: { name: 'of the Fox', position: 'suffix', stats: { agility: [1, 3] } },
+            of_the_owl: { name: 'of the Owl', position: 'suffix', stats: { intelligence: [1, 2], vitality: [0, 1] } },
+            of_fortitude: { name: 'of Fortitude', position: 'suffix', stats: { defense: [2, 4] } }
+        };
+
+        // Faction price modifiers: `buy` scales merchant prices, `sell` scales what merchants pay
+        this.factionPriceModifiers = {
+            order: { buy: 0.9, sell: 1.0 },   // Trusted customers get a discount
+            shadow: { buy: 1.0, sell: 1.25 }, // Well connected with fences
+            nature: { buy: 1.0, sell: 1.0, consumableBuy: 0.85 } // Herbalists trade remedies cheaply
+        };
+
+        // Fraction of an item's value a merchant pays when buying it back
+        this.sellRatio = 0.5;
+
+        console.log('🎒 Item system initialized');
+    }
+
+    /**
+     * Initialize with game engine reference
+     */
+    init(gameEngine) {
+        this.gameEngine = gameEngine;
+        console.log('🎒 Item system connected to engine');
+    }
+
+    /**
+     * Create an item instance from its id
+     */
+    createItem(itemId, overrides = {}) {
+        const template = this.itemTemplates[itemId];
+
+        if (!template) {
+            return {
+                id: itemId,
+                name: this.formatItemName(itemId),
+                description: 'A curious item',
+                icon: '📦',
+                type: 'misc',
+                rarity: 'common',
+                value: 5,
+                ...overrides
+            };
+        }
+
+        const { regions, ...itemData } = template;
+        return { id: itemId, ...itemData, ...overrides };
+    }
+
+    /**
+     * Check whether an item can be used right now
+     */
+    isUsable(item, inCombat = false) {
+        if (!item || item.type !== 'consumable' || !item.effect) return false;
+        return inCombat || !item.combatOnly;
+    }
+
+    /**
+     * Apply a consumable's effect to a character (on the map or the combat copy).
+     * Status effects are returned rather than applied so combat can run its usual rules.
+     */
+    applyConsumable(item, target) {
+        const effect = item.effect || {};
+        const outcome = { healed: 0, restored: 0, cured: [], status: effect.status || null };
+
+        const healing = (effect.heal || 0) + Math.floor(target.maxHealth * (effect.healPercent || 0));
+        if (healing > 0) {
+            const oldHp = target.hp;
+            target.hp = Math.min(target.maxHealth, target.hp + healing);
+            outcome.healed = target.hp - oldHp;
+        }
+
+        const mana = (effect.mana || 0) + Math.floor(target.maxMana * (effect.manaPercent || 0));
+        if (mana > 0) {
+            const oldMana = target.mana;
+            target.mana = Math.min(target.maxMana, target.mana + mana);
+            outcome.restored = target.mana - oldMana;
+        }
+
+        if (effect.cure && target.statusEffects instanceof Map) {
+            effect.cure.forEach(type => {
+                if (target.statusEffects.delete(type)) {
+                    outcome.cured.push(type);
+                }
+            });
+        }
+
+        return outcome;
+    }
+
+    /**
+     * Roll a piece of equipment with a rarity tier and affixes.
+     * Uses the caller's random stream so drops stay reproducible.
+     * Pass `baseId` to roll a specific base (crafting), otherwise one is picked (optionally by slot).
+     */
+    generateEquipment(rng, { level = 1, minRarity = 'common', slot = null, baseId = null } = {}) {
+        if (!baseId) {
+            const baseIds = Object.keys(this.itemTemplates).filter(itemId => {
+                const template = this.itemTemplates[itemId];
+                return template.type === 'equipment' && (!slot || template.slot === slot);
+            });
+
+            baseId = rng.choice(baseIds);
+        }
+
+        const template = this.itemTemplates[baseId];
+        const rarity = this.rollRarity(rng, minRarity);
+        const tier = this.rarityTiers[rarity];
+        const levelScale = 1 + (level - 1) * 0.05;
+
+        // Scale base stats (penalties stay as they are)
+        const stats = {};
+        Object.entries(template.stats).forEach(([stat, amount]) => {
+            stats[stat] = amount > 0 ? Math.max(1, Math.round(amount * levelScale * tier.statMultiplier)) : amount;
+        });
+
+        // Roll affixes on top
+        const affixes = this.rollAffixes(rng, tier.affixes);
+        affixes.forEach(affixId => {
+            Object.entries(this.affixes[affixId].stats).forEach(([stat, [min, max]]) => {
+                stats[stat] = (stats[stat] || 0) + rng.int(min, max) + (tier.affixBonus || 0);
+            });
+        });
+
+        const prefix = affixes.find(affixId => this.affixes[affixId].position === 'prefix');
+        const suffix = affixes.find(affixId => this.affixes[affixId].position === 'suffix');
+        const name = [prefix && this.affixes[prefix].name, template.name, suffix && this.affixes[suffix].name]
+            .filter(Boolean)
+            .join(' ');
+
+        return this.createItem(baseId, {
+            name,
+            rarity,
+            level,
+            stats,
+            affixes,
+            description: this.describeStats(stats),
+            value: Math.floor(template.value * tier.valueMultiplier * levelScale)
+        });
+    }
+
+    /**
+     * Roll a rarity tier, never below the given minimum
+     */
+    rollRarity(rng, minRarity = 'common') {
+        const tiers = Object.keys(this.rarityTiers);
+        const allowed = tiers.slice(Math.max(0, tiers.indexOf(minRarity)));
+        const totalWeight = allowed.reduce((sum, tier) => sum + this.rarityTiers[tier].dropWeight, 0);
+
+        let roll = rng.next() * totalWeight;
+        for (const tier of allowed) {
+            roll -= this.rarityTiers[tier].dropWeight;
+            if (roll <= 0) return tier;
+        }
+
+        return allowed[allowed.length - 1];
+    }
+
+    /**
+     * Pick up to `count` affixes, at most one prefix and one suffix
+     */
+    rollAffixes(rng, count) {
+        const positions = ['prefix', 'suffix'];
+        const chosen = [];
+
+        while (chosen.length < count && positions.length > 0) {
+            const position = positions.splice(rng.int(0, positions.length - 1), 1)[0];
+            const pool = Object.keys(this.affixes).filter(affixId => this.affixes[affixId].position === position);
+            chosen.push(rng.choice(pool));
+        }
+
+        return chosen;
+    }
+
+    /**
+     * Describe a stat block, e.g. "+3 strength, -1 speed"
+     */
+    describeStats(stats) {
+        return Object.entries(stats)
+            .filter(([, amount]) => amount !== 0)
+            .map(([stat, amount]) => `${amount > 0 ? '+' : ''}${amount} ${stat}`)
+            .join(', ');
+    }
+
+    /**
+     * Get ids of items a merchant in the given region may stock
+     */
+    getMerchantPool(regionKey) {
+        return Object.keys(this.itemTemplates).filter(itemId => {
+            const regions = this.itemTemplates[itemId].regions;
+            return regions === 'any' || regions.includes(regionKey);
+        });
+    }
+
+    /**
+     * Get merchant stock weight of an item
+     */
+    getStockWeight(itemId) {
+        const template = this.itemTemplates[itemId];
+        return this.rarityWeights[template?.rarity] || this.rarityWeights.common;
+    }
+
+    /**
+     * Price the player pays a merchant for an item
+     */
+    getBuyPrice(item, haggle = 1.0, faction = null) {
+        const modifiers = this.factionPriceModifiers[faction] || {};
+        let multiplier = haggle * (modifiers.buy || 1.0);
+
+        if (item.type === 'consumable' && modifiers.consumableBuy) {
+            multiplier *= modifiers.consumableBuy;
+        }
+
+        return Math.max(1, Math.ceil(item.value * multiplier));
+    }
+
+    /**
+     * Price a merchant pays the player for an item
+     */
+    getSellPrice(item, haggle = 1.0, faction = null) {
+        const modifiers = this.factionPriceModifiers[faction] || {};
+        const multiplier = this.sellRatio * (modifiers.sell || 1.0) / haggle;
+
+        return Math.max(1, Math.floor((item.value || 0) * multiplier));
+    }
+
+    /**
+     * Turn an item id into a display name
+     */
+    formatItemName(itemId) {
+        return itemId.split('_').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+    }
+}
@@ -3,10 +3,15 @@
  * Procedurally generates run maps with different regions, node types, and encounters
  */
 
+import { SeededRandom } from './random.js';
+
 export class MapGenerator {
     constructor() {
         this.gameEngine = null;
         
+        // Deterministic random source for the run being generated
+        this.rng = new SeededRandom();
+        
         // Region definitions with unique characteristics
         this.regions = {
             forest: {
@@ -95,6 +100,37 @@ export class MapGenerator {
             }
         };
         
+        // Stat scaling for each member of a pack of 1-4 enemies
+        this.packScaling = [1.0, 0.75, 0.6, 0.5];
+        
+        // Base enemy stats that will be scaled by difficulty. `weaknesses` and `resistances`
+        // list the skill elements that deal extra or reduced damage (see Combat.elementalMatchups).
+        this.enemyTemplates = {
+            // Forest enemies
+            goblin: { name: 'Goblin Scout', hp: 35, attack: 8, defense: 2, speed: 6 },
+            wolf: { name: 'Forest Wolf', hp: 45, attack: 12, defense: 4, speed: 8, weaknesses: ['fire'] },
+            spider: { name: 'Giant Spider', hp: 30, attack: 10, defense: 1, speed: 7, weaknesses: ['fire'], resistances: ['nature'] },
+            treant: { name: 'Young Treant', hp: 70, attack: 15, defense: 8, speed: 3, weaknesses: ['fire'], resistances: ['nature'] },
+            
+            // Desert enemies
+            scorpion: { name: 'Desert Scorpion', hp: 40, attack: 14, defense: 6, speed: 5, weaknesses: ['ice'], resistances: ['fire'] },
+            bandit: { name: 'Desert Bandit', hp: 50, attack: 11, defense: 3, speed: 6 },
+            sand_wraith: { name: 'Sand Wraith', hp: 35, attack: 16, defense: 2, speed: 9, weaknesses: ['light', 'ice'], resistances: ['fire', 'dark'] },
+            mummy: { name: 'Ancient Mummy', hp: 60, attack: 13, defense: 7, speed: 4, weaknesses: ['fire'], resistances: ['dark'] },
+            
+            // Ice enemies
+            ice_wolf: { name: 'Frost Wolf', hp: 55, attack: 14, defense: 5, speed: 7, weaknesses: ['fire'], resistances: ['ice'] },
+            frost_giant: { name: 'Frost Giant', hp: 90, attack: 20, defense: 12, speed: 2, weaknesses: ['fire'], resistances: ['ice'] },
+            ice_elemental: { name: 'Ice Elemental', hp: 40, attack: 18, defense: 3, speed: 8, weaknesses: ['fire', 'lightning'], resistances: ['ice'] },
+            yeti: { name: 'Mountain Yeti', hp: 75, attack: 16, defense: 10, speed: 5, weaknesses: ['fire'], resistances: ['ice'] },
+            
+            // Ruins enemies
+            skeleton: { name: 'Ancient Skeleton', hp: 45, attack: 12, defense: 8, speed: 4, weaknesses: ['light'], resistances: ['dark'] },
+            ghost: { name: 'Restless Ghost', hp: 30, attack: 20, defense: 1, speed: 10, weaknesses: ['light'], resistances: ['dark', 'ice'] },
+            gargoyle: { name: 'Stone Gargoyle', hp: 80, attack: 18, defense: 15, speed: 3, weaknesses: ['lightning'], resistances: ['fire'] },
+            lich: { name: 'Minor Lich', hp: 65, attack: 22, defense: 6, speed: 6, weaknesses: ['light', 'fire'], resistances: ['dark', 'ice'] }
+        };
+        
         // Event templates
         this.eventTemplates = {
             fairy_ring: {
@@ -228,15 +264,21 @@ export class MapGenerator {
     }
 
     /**
-     * Generate a complete run with multiple regions
+     * Generate a complete run with multiple regions.
+     * The same seed always produces the same run.
      */
-    generateRun() {
-        console.log('🎲 Generating new run...');
+    generateRun(seed = null) {
+        this.rng = new SeededRandom(seed ?? SeededRandom.generateSeed());
+        
+        console.log(`🎲 Generating new run (seed ${this.rng.seed})...`);
         
         const runData = {
-            id: this.generateId(),
+            id: this.rng.seed,
+            seed: this.rng.seed,
             regions: [],
             nodes: [],
+            layers: [], // Node indices per layer, from the entrance to the boss
+            bossNodeIndex: null,
             totalNodes: 0,
             estimatedDifficulty: 1.0
         };
@@ -246,24 +288,42 @@ export class MapGenerator {
         const selectedRegions = this.selectRegions(regionCount);
         
         let nodeIndex = 0;
+        let previousLayerWidth = null;
         
         // Generate each region
         selectedRegions.forEach((regionKey, regionIndex) => {
-            const region = this.generateRegion(regionKey, regionIndex, regionCount);
-            runData.regions.push(region);
+            const { region, layers } = this.generateRegion(regionKey, regionIndex, regionCount, previousLayerWidth);
             
-            // Add region nodes to main node list with proper indexing
-            region.nodes.forEach(node => {
-                node.globalIndex = nodeIndex++;
-                node.regionIndex = regionIndex;
-                runData.nodes.push(node);
+            // Add region nodes to the main node list with proper indexing
+            layers.forEach(layerNodes => {
+                const layerIndex = runData.layers.length;
+                
+                layerNodes.forEach(node => {
+                    node.globalIndex = nodeIndex++;
+                    node.regionIndex = regionIndex;
+                    node.layer = layerIndex;
+                    runData.nodes.push(node);
+                });
+                
+                const layerIds = layerNodes.map(node => node.globalIndex);
+                runData.layers.push(layerIds);
+                region.layers.push(layerIds);
             });
+            
+            runData.regions.push(region);
+            previousLayerWidth = layers[layers.length - 1].length;
         });
         
+        // Link every layer to the next one
+        for (let i = 0; i < runData.layers.length - 1; i++) {
+            this.connectLayers(runData, runData.layers[i], runData.layers[i + 1]);
+        }
+        
+        runData.bossNodeIndex = runData.layers[runData.layers.length - 1][0];
         runData.totalNodes = runData.nodes.length;
         runData.estimatedDifficulty = this.calculateRunDifficulty(selectedRegions);
         
-        console.log(`✅ Generated run: ${regionCount} regions, ${runData.totalNodes} nodes`);
+        console.log(`✅ Generated run: ${regionCount} regions, ${runData.layers.length} layers, ${runData.totalNodes} nodes`);
         return runData;
     }
 
@@ -290,13 +350,14 @@ export class MapGenerator {
     }
 
     /**
-     * Generate a single region with nodes
+     * Generate a single region as layers of nodes.
+     * Each region narrows to a single node at its end; in the last region that node is the boss.
      */
-    generateRegion(regionKey, regionIndex, totalRegions) {
+    generateRegion(regionKey, regionIndex, totalRegions, previousLayerWidth = null) {
         const regionTemplate = this.regions[regionKey];
         const isLastRegion = regionIndex === totalRegions - 1;
         
-        // Determine region length (4-7 nodes, +1 for boss if last region)
+        // Determine region depth (4-7 layers, +1 for boss if last region)
         const baseLength = this.randomInt(4, 7);
         const regionLength = isLastRegion ? baseLength + 1 : baseLength;
         
@@ -309,28 +370,79 @@ export class MapGenerator {
             index: regionIndex,
             length: regionLength,
             difficulty: regionTemplate.difficulty + (regionIndex * 0.2),
-            nodes: []
+            layers: [] // Filled with node indices by generateRun
         };
         
-        // Generate nodes for this region
+        const layers = [];
+        let nodeCount = 0;
+        
+        // Generate layers for this region
         for (let i = 0; i < regionLength; i++) {
-            const isLastNode = i === regionLength - 1;
-            const isBossNode = isLastRegion && isLastNode;
+            const isLastLayer = i === regionLength - 1;
+            const isBossLayer = isLastRegion && isLastLayer;
+            const layerWidth = isLastLayer ? 1 : this.getLayerWidth(i === 0 ? previousLayerWidth : layers[i - 1].length);
             
-            let node;
-            if (isBossNode) {
-                node = this.generateBossNode(regionTemplate, region.difficulty);
-            } else {
-                node = this.generateRegularNode(regionTemplate, region.difficulty, i, regionLength);
+            const layerNodes = [];
+            for (let lane = 0; lane < layerWidth; lane++) {
+                let node;
+                if (isBossLayer) {
+                    node = this.generateBossNode(regionTemplate, region.difficulty);
+                } else {
+                    node = this.generateRegularNode(regionTemplate, region.difficulty, i, regionLength);
+                }
+                
+                node.regionKey = regionKey;
+                node.localIndex = i;
+                node.lane = lane;
+                node.connections = [];
+                layerNodes.push(node);
             }
             
-            node.regionKey = regionKey;
-            node.localIndex = i;
-            region.nodes.push(node);
+            layers.push(layerNodes);
+            nodeCount += layerNodes.length;
         }
         
-        console.log(`🗺️ Generated region: ${region.name} (${region.length} nodes)`);
-        return region;
+        console.log(`🗺️ Generated region: ${region.name} (${region.length} layers, ${nodeCount} nodes)`);
+        return { region, layers };
+    }
+
+    /**
+     * Pick how many nodes a layer has (2-4).
+     * A layer after a single node is capped at 3 so each node links to at most 3 others.
+     */
+    getLayerWidth(previousLayerWidth) {
+        const maxWidth = previousLayerWidth === 1 ? 3 : 4;
+        return this.randomInt(2, maxWidth);
+    }
+
+    /**
+     * Connect one layer to the next without crossing paths.
+     * Every node links to 1-3 nodes ahead and every node ahead is reachable.
+     */
+    connectLayers(runData, fromLayer, toLayer) {
+        const fromCount = fromLayer.length;
+        const toCount = toLayer.length;
+        
+        // Anchor each node to the proportionally closest lane in the next layer
+        const anchors = fromLayer.map((_, lane) => (
+            fromCount === 1 ? 0 : Math.round(lane * (toCount - 1) / (fromCount - 1))
+        ));
+        
+        fromLayer.forEach((nodeIndex, lane) => {
+            const isLastLane = lane === fromCount - 1;
+            const low = anchors[lane];
+            let high = isLastLane ? toCount - 1 : Math.max(low, anchors[lane + 1] - 1);
+            
+            // Occasionally share the neighbouring lane's first node for an extra route
+            if (!isLastLane && high + 1 === anchors[lane + 1] && high - low < 2 && this.rng.next() < 0.35) {
+                high++;
+            }
+            
+            const node = runData.nodes[nodeIndex];
+            for (let target = low; target <= high; target++) {
+                node.connections.push(toLayer[target]);
+            }
+        });
     }
 
     /**
@@ -354,7 +466,7 @@ export class MapGenerator {
         // Add type-specific data
         switch (nodeType) {
             case 'combat':
-                node.enemy = this.generateEnemy(regionTemplate, node.difficulty);
+                node.enemies = this.generateEnemyPack(regionTemplate, node.difficulty);
                 break;
                 
             case 'event':
@@ -399,8 +511,11 @@ export class MapGenerator {
      * Select node type based on weights and position
      */
     selectNodeType(nodeIndex, regionLength) {
-        // Modify weights based on position
-        const weights = { ...this.nodeTypes };
+        // Modify weights based on position (copy each entry so the templates stay untouched)
+        const weights = {};
+        Object.entries(this.nodeTypes).forEach(([key, type]) => {
+            weights[key] = { weight: type.weight };
+        });
         
         // First node is more likely to be combat or event
         if (nodeIndex === 0) {
@@ -424,40 +539,31 @@ export class MapGenerator {
         return this.weightedRandomChoice(weights);
     }
 
+    /**
+     * Generate the pack for a combat node: up to 4 enemies, more likely further in.
+     * Bigger packs are made of individually weaker enemies.
+     */
+    generateEnemyPack(regionTemplate, difficulty) {
+        const maxSize = Math.max(1, Math.min(4, Math.floor((difficulty - 0.8) * 2) + 1));
+        const size = this.randomInt(1, maxSize);
+        const memberDifficulty = difficulty * this.packScaling[size - 1];
+        
+        return Array.from({ length: size }, () => this.generateEnemy(regionTemplate, memberDifficulty));
+    }
+
     /**
      * Generate an enemy for combat node
      */
     generateEnemy(regionTemplate, difficulty) {
         const enemyType = this.randomChoice(regionTemplate.enemyPool);
-        
-        // Base enemy stats that will be scaled by difficulty
-        const enemyTemplates = {
-            // Forest enemies
-            goblin: { name: 'Goblin Scout', hp: 35, attack: 8, defense: 2, speed: 6 },
-            wolf: { name: 'Forest Wolf', hp: 45, attack: 12, defense: 4, speed: 8 },
-            spider: { name: 'Giant Spider', hp: 30, attack: 10, defense: 1, speed: 7 },
-            treant: { name: 'Young Treant', hp: 70, attack: 15, defense: 8, speed: 3 },
-            
-            // Desert enemies
-            scorpion: { name: 'Desert Scorpion', hp: 40, attack: 14, defense: 6, speed: 5 },
-            bandit: { name: 'Desert Bandit', hp: 50, attack: 11, defense: 3, speed: 6 },
-            sand_wraith: { name: 'Sand Wraith', hp: 35, attack: 16, defense: 2, speed: 9 },
-            mummy: { name: 'Ancient Mummy', hp: 60, attack: 13, defense: 7, speed: 4 },
-            
-            // Ice enemies
-            ice_wolf: { name: 'Frost Wolf', hp: 55, attack: 14, defense: 5, speed: 7 },
-            frost_giant: { name: 'Frost Giant', hp: 90, attack: 20, defense: 12, speed: 2 },
-            ice_elemental: { name: 'Ice Elemental', hp: 40, attack: 18, defense: 3, speed: 8 },
-            yeti: { name: 'Mountain Yeti', hp: 75, attack: 16, defense: 10, speed: 5 },
-            
-            // Ruins enemies
-            skeleton: { name: 'Ancient Skeleton', hp: 45, attack: 12, defense: 8, speed: 4 },
-            ghost: { name: 'Restless Ghost', hp: 30, attack: 20, defense: 1, speed: 10 },
-            gargoyle: { name: 'Stone Gargoyle', hp: 80, attack: 18, defense: 15, speed: 3 },
-            lich: { name: 'Minor Lich', hp: 65, attack: 22, defense: 6, speed: 6 }
-        };
-        
-        const template = enemyTemplates[enemyType] || enemyTemplates.goblin;
+        return this.createEnemy(enemyType, difficulty);
+    }
+
+    /**
+     * Create a specific enemy type scaled by difficulty
+     */
+    createEnemy(enemyType, difficulty) {
+        const template = this.enemyTemplates[enemyType] || this.enemyTemplates.goblin;
         
         // Scale stats by difficulty
         return {
@@ -480,42 +586,58 @@ export class MapGenerator {
             forest_guardian: { 
                 name: 'Forest Guardian', 
                 hp: 150, attack: 25, defense: 15, speed: 5,
-                abilities: ['nature_heal', 'root_entangle', 'forest_fury']
+                abilities: ['nature_heal', 'root_entangle', 'forest_fury'],
+                weaknesses: ['fire'],
+                resistances: ['nature']
             },
             elder_treant: { 
                 name: 'Elder Treant', 
                 hp: 200, attack: 30, defense: 20, speed: 3,
-                abilities: ['bark_armor', 'branch_slam', 'forest_blessing']
+                abilities: ['bark_armor', 'branch_slam', 'forest_blessing'],
+                weaknesses: ['fire'],
+                resistances: ['nature', 'lightning']
             },
             desert_king: { 
                 name: 'Desert King', 
                 hp: 180, attack: 28, defense: 12, speed: 6,
-                abilities: ['sand_storm', 'mirage', 'scorching_strike']
+                abilities: ['sand_storm', 'mirage', 'scorching_strike'],
+                weaknesses: ['ice'],
+                resistances: ['fire']
             },
             sand_dragon: { 
                 name: 'Sand Dragon', 
                 hp: 250, attack: 35, defense: 18, speed: 7,
-                abilities: ['sand_breath', 'dune_dive', 'desert_rage']
+                abilities: ['sand_breath', 'dune_dive', 'desert_rage'],
+                weaknesses: ['ice'],
+                resistances: ['fire']
             },
             ice_queen: { 
                 name: 'Ice Queen', 
                 hp: 220, attack: 32, defense: 16, speed: 4,
-                abilities: ['frost_armor', 'ice_storm', 'frozen_heart']
+                abilities: ['frost_armor', 'ice_storm', 'frozen_heart'],
+                weaknesses: ['fire'],
+                resistances: ['ice']
             },
             frost_dragon: { 
                 name: 'Frost Dragon', 
                 hp: 300, attack: 40, defense: 22, speed: 6,
-                abilities: ['ice_breath', 'blizzard', 'absolute_zero']
+                abilities: ['ice_breath', 'blizzard', 'absolute_zero'],
+                weaknesses: ['fire'],
+                resistances: ['ice', 'lightning']
             },
             ancient_king: { 
                 name: 'Ancient King', 
                 hp: 280, attack: 38, defense: 25, speed: 5,
-                abilities: ['royal_command', 'ancient_curse', 'kingly_wrath']
+                abilities: ['royal_command', 'ancient_curse', 'kingly_wrath'],
+                weaknesses: ['light'],
+                resistances: ['dark']
             },
             shadow_lord: { 
                 name: 'Shadow Lord', 
                 hp: 200, attack: 45, defense: 10, speed: 9,
-                abilities: ['shadow_step', 'dark_magic', 'void_strike']
+                abilities: ['shadow_step', 'dark_magic', 'void_strike'],
+                weaknesses: ['light'],
+                resistances: ['dark']
             }
         };
         
@@ -593,19 +715,27 @@ export class MapGenerator {
     }
 
     /**
-     * Generate merchant items
+     * Generate merchant items from the region's stock pool (rarer items appear less often)
      */
     generateMerchantItems(regionTemplate) {
         const items = [];
         const itemCount = this.randomInt(3, 6);
+        const itemSystem = this.gameEngine.items;
+        
+        const weights = {};
+        itemSystem.getMerchantPool(this.getRegionKey(regionTemplate)).forEach(itemId => {
+            weights[itemId] = { weight: itemSystem.getStockWeight(itemId) };
+        });
         
         for (let i = 0; i < itemCount; i++) {
-            items.push({
-                name: 'Health Potion',
-                description: 'Restores 50 HP',
-                price: 25,
-                type: 'consumable'
-            });
+            const itemId = this.weightedRandomChoice(weights);
+            const existing = items.find(item => item.id === itemId);
+            
+            if (existing) {
+                existing.quantity++;
+            } else {
+                items.push({ ...itemSystem.createItem(itemId), quantity: 1 });
+            }
         }
         
         return items;
@@ -625,6 +755,13 @@ export class MapGenerator {
         return this.randomChoice(restTypes);
     }
 
+    /**
+     * Look up the key of a region template
+     */
+    getRegionKey(regionTemplate) {
+        return Object.keys(this.regions).find(key => this.regions[key] === regionTemplate);
+    }
+
     /**
      * Calculate overall run difficulty
      */
@@ -638,23 +775,23 @@ export class MapGenerator {
     }
 
     /**
-     * Utility functions for randomization
+     * Utility functions for randomization (all drawn from the run's seeded stream)
      */
     randomInt(min, max) {
-        return Math.floor(Math.random() * (max - min + 1)) + min;
+        return this.rng.int(min, max);
     }
 
     randomFloat(min, max) {
-        return Math.random() * (max - min) + min;
+        return this.rng.float(min, max);
     }
 
     randomChoice(array) {
-        return array[Math.floor(Math.random() * array.length)];
+        return this.rng.choice(array);
     }
 
     weightedRandomChoice(weights) {
         const totalWeight = Object.values(weights).reduce((sum, item) => sum + item.weight, 0);
-        let random = Math.random() * totalWeight;
+        let random = this.rng.next() * totalWeight;
         
         for (const [key, item] of Object.entries(weights)) {
             random -= item.weight;
@@ -666,8 +803,4 @@ export class MapGenerator {
         // Fallback
         return Object.keys(weights)[0];
     }
-
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2, 9);
-    }
 }
\ No newline at end of file
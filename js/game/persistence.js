@@ -34,6 +34,10 @@ export class Persistence {
                 faction: { level: 1, experience: 0 }
             },
             unlockedRecipes: [],
+            materials: {},
+            discoveredMaterials: [],
+            craftingQueue: [],
+            forgeStash: [],
             unlockedClasses: ['warrior', 'mage', 'rogue', 'healer'],
             factionReputations: {
                 order: { reputation: 0, level: 1 },
@@ -0,0 +1,85 @@
+/**
+ * Echoes of Elaria - Seeded Random Number Generator
+ * Deterministic PRNG so that runs and encounters can be reproduced from a seed
+ */
+
+export class SeededRandom {
+    constructor(seed = SeededRandom.generateSeed()) {
+        this.seed = String(seed);
+        this.state = SeededRandom.hashSeed(this.seed);
+    }
+
+    /**
+     * Create a new short, shareable seed string
+     */
+    static generateSeed() {
+        return Math.floor(Math.random() * 0xFFFFFFFF).toString(36).toUpperCase().padStart(7, '0');
+    }
+
+    /**
+     * Hash a seed string into a 32-bit state (FNV-1a)
+     */
+    static hashSeed(seed) {
+        let hash = 0x811C9DC5;
+
+        for (let i = 0; i < seed.length; i++) {
+            hash ^= seed.charCodeAt(i);
+            hash = Math.imul(hash, 0x01000193);
+        }
+
+        return hash >>> 0;
+    }
+
+    /**
+     * Get next float in [0, 1) (mulberry32)
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer in [min, max] (inclusive)
+     */
+    int(min, max) {
+        return Math.floor(this.next() * (max - min + 1)) + min;
+    }
+
+    /**
+     * Random float in [min, max)
+     */
+    float(min, max) {
+        return this.next() * (max - min) + min;
+    }
+
+    /**
+     * Random element from an array
+     */
+    choice(array) {
+        return array[Math.floor(this.next() * array.length)];
+    }
+
+    /**
+     * Derive an independent stream, e.g. one per region or encounter
+     */
+    fork(label) {
+        return new SeededRandom(`${this.seed}:${label}`);
+    }
+
+    /**
+     * Snapshot and restore the generator position (for saves and replays)
+     */
+    getState() {
+        return { seed: this.seed, state: this.state };
+    }
+
+    setState(snapshot) {
+        this.seed = String(snapshot.seed);
+        this.state = snapshot.state >>> 0;
+    }
+}
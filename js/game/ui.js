@@ -48,26 +48,31 @@ export class UI {
         this.elements.playerMpBar = document.getElementById('player-mp-bar');
         this.elements.playerMpText = document.getElementById('player-mp-text');
         
-        this.elements.enemyHpBar = document.getElementById('enemy-hp-bar');
-        this.elements.enemyHpText = document.getElementById('enemy-hp-text');
-        this.elements.enemyName = document.getElementById('enemy-name');
+        this.elements.playerStatusEffects = document.getElementById('player-status-effects');
         
         // Combat elements
         this.elements.skillButtons = document.getElementById('skill-buttons');
         this.elements.combatLog = document.getElementById('combat-log');
         this.elements.combatTurnIndicator = document.getElementById('combat-turn-indicator');
+        this.elements.turnOrder = document.getElementById('turn-order');
+        this.elements.combatItems = document.getElementById('combat-items');
+        this.elements.combatItemsBtn = document.getElementById('combat-items-btn');
+        this.elements.combatFleeBtn = document.getElementById('combat-flee-btn');
+        this.elements.combatDefendBtn = document.getElementById('combat-defend-btn');
         this.elements.playerSprite = document.getElementById('player-sprite');
-        this.elements.enemySprite = document.getElementById('enemy-sprite');
+        this.elements.enemyParty = document.getElementById('enemy-party');
         
         // Map elements
         this.elements.mapContainer = document.getElementById('map-container');
         this.elements.currentRegion = document.getElementById('current-region');
+        this.elements.runSeed = document.getElementById('run-seed');
         
         // Game views
         this.elements.mapView = document.getElementById('map-view');
         this.elements.combatView = document.getElementById('combat-view');
         this.elements.eventView = document.getElementById('event-view');
         this.elements.inventoryView = document.getElementById('inventory-view');
+        this.elements.merchantView = document.getElementById('merchant-view');
         
         // Event elements
         this.elements.eventTitle = document.getElementById('event-title');
@@ -75,12 +80,42 @@ export class UI {
         this.elements.eventImage = document.getElementById('event-image');
         this.elements.eventChoices = document.getElementById('event-choices');
         
+        // Merchant elements
+        this.elements.merchantName = document.getElementById('merchant-name');
+        this.elements.merchantGreeting = document.getElementById('merchant-greeting');
+        this.elements.merchantGold = document.getElementById('merchant-gold');
+        this.elements.merchantStock = document.getElementById('merchant-stock');
+        this.elements.merchantSell = document.getElementById('merchant-sell');
+        this.elements.merchantLeaveBtn = document.getElementById('merchant-leave-btn');
+        
         // Inventory elements
         this.elements.inventoryGrid = document.getElementById('inventory-grid');
+        this.elements.inventoryCloseBtn = document.getElementById('inventory-close-btn');
         this.elements.statStrength = document.getElementById('stat-strength');
         this.elements.statAgility = document.getElementById('stat-agility');
         this.elements.statIntelligence = document.getElementById('stat-intelligence');
         this.elements.statVitality = document.getElementById('stat-vitality');
+        this.elements.statAttack = document.getElementById('stat-attack');
+        this.elements.statDefense = document.getElementById('stat-defense');
+        this.elements.statSpeed = document.getElementById('stat-speed');
+        this.elements.equipmentSlots = document.getElementById('equipment-slots');
+        this.elements.skillLoadout = document.getElementById('skill-loadout');
+        this.elements.loadoutCount = document.getElementById('loadout-count');
+        this.elements.passiveList = document.getElementById('passive-list');
+        
+        // Level up choice
+        this.elements.levelUpModal = document.getElementById('level-up-modal');
+        this.elements.levelUpLevel = document.getElementById('level-up-level');
+        this.elements.levelUpChoices = document.getElementById('level-up-choices');
+        
+        // Main menu
+        this.elements.continueBtn = document.getElementById('continue-btn');
+        
+        // Forge / crafting elements
+        this.elements.forgeBtn = document.getElementById('forge-btn');
+        this.elements.craftingScreen = document.getElementById('crafting-screen');
+        this.elements.recipeList = document.getElementById('recipe-list');
+        this.elements.materialsList = document.getElementById('materials-list');
     }
 
     /**
@@ -97,6 +132,91 @@ export class UI {
             });
         }
 
+        // Clicking an enemy card makes it the target (delegated to parent)
+        if (this.elements.enemyParty) {
+            this.elements.enemyParty.addEventListener('click', (e) => {
+                const card = e.target.closest('.enemy-card');
+                if (card) {
+                    window.EchoesGame?.gameEngine?.combat.selectTarget(parseInt(card.dataset.enemyIndex));
+                }
+            });
+        }
+
+        // Flee button
+        if (this.elements.combatFleeBtn) {
+            this.elements.combatFleeBtn.addEventListener('click', () => {
+                window.EchoesGame?.gameEngine?.combat.attemptFlee();
+            });
+        }
+
+        // Defend button
+        if (this.elements.combatDefendBtn) {
+            this.elements.combatDefendBtn.addEventListener('click', () => {
+                window.EchoesGame?.gameEngine?.combat.defend();
+            });
+        }
+
+        // Combat item list toggle and item clicks (delegated)
+        if (this.elements.combatItemsBtn && this.elements.combatItems) {
+            this.elements.combatItemsBtn.addEventListener('click', () => {
+                this.elements.combatItems.classList.toggle('hidden');
+            });
+
+            this.elements.combatItems.addEventListener('click', (e) => {
+                const button = e.target.closest('.combat-item-btn');
+                if (button && !button.disabled) {
+                    this.elements.combatItems.classList.add('hidden');
+                    this.handleItemClick(parseInt(button.dataset.inventoryIndex));
+                }
+            });
+        }
+
+        // Inventory item clicks (delegated)
+        if (this.elements.inventoryGrid) {
+            this.elements.inventoryGrid.addEventListener('click', (e) => {
+                const slot = e.target.closest('.inventory-slot.has-item');
+                if (slot) {
+                    this.handleItemClick(parseInt(slot.dataset.inventoryIndex));
+                }
+            });
+        }
+
+        // Equipped gear clicks unequip (delegated)
+        if (this.elements.equipmentSlots) {
+            this.elements.equipmentSlots.addEventListener('click', (e) => {
+                const slot = e.target.closest('.equipment-slot.has-item');
+                if (slot) {
+                    this.handleEquipmentClick(slot.dataset.slot);
+                }
+            });
+        }
+
+        // Skill clicks add to or remove from the combat loadout (delegated)
+        if (this.elements.skillLoadout) {
+            this.elements.skillLoadout.addEventListener('click', (e) => {
+                const entry = e.target.closest('.loadout-skill.unlocked');
+                if (entry) {
+                    this.handleLoadoutClick(parseInt(entry.dataset.skillIndex));
+                }
+            });
+        }
+
+        // Level up upgrade picks (delegated)
+        if (this.elements.levelUpChoices) {
+            this.elements.levelUpChoices.addEventListener('click', (e) => {
+                const choice = e.target.closest('.level-up-choice');
+                if (choice) {
+                    this.handleLevelUpChoiceClick(parseInt(choice.dataset.choiceIndex));
+                }
+            });
+        }
+
+        if (this.elements.inventoryCloseBtn) {
+            this.elements.inventoryCloseBtn.addEventListener('click', () => {
+                this.hideInventory();
+            });
+        }
+
         // Inventory toggle hotkey
         document.addEventListener('keydown', (e) => {
             if (e.key === 'i' || e.key === 'I') {
@@ -106,6 +226,57 @@ export class UI {
             }
         });
 
+        // Merchant buy/sell clicks (delegated)
+        if (this.elements.merchantStock) {
+            this.elements.merchantStock.addEventListener('click', (e) => {
+                const button = e.target.closest('.merchant-buy-btn');
+                if (button && !button.disabled) {
+                    window.EchoesGame?.gameEngine?.buyFromMerchant(parseInt(button.dataset.stockIndex));
+                }
+            });
+        }
+
+        if (this.elements.merchantSell) {
+            this.elements.merchantSell.addEventListener('click', (e) => {
+                const button = e.target.closest('.merchant-sell-btn');
+                if (button) {
+                    window.EchoesGame?.gameEngine?.sellToMerchant(parseInt(button.dataset.inventoryIndex));
+                }
+            });
+        }
+
+        if (this.elements.merchantLeaveBtn) {
+            this.elements.merchantLeaveBtn.addEventListener('click', () => {
+                window.EchoesGame?.gameEngine?.leaveMerchant();
+            });
+        }
+
+        // Continue the saved run
+        if (this.elements.continueBtn) {
+            this.elements.continueBtn.addEventListener('click', () => {
+                this.handleContinueClick();
+            });
+        }
+
+        // Forge: open crafting screen and start recipes (delegated)
+        if (this.elements.forgeBtn) {
+            this.elements.forgeBtn.addEventListener('click', () => {
+                this.showCraftingScreen();
+            });
+        }
+
+        if (this.elements.recipeList) {
+            this.elements.recipeList.addEventListener('click', async (e) => {
+                const button = e.target.closest('.recipe-craft-btn');
+                const engine = window.EchoesGame?.gameEngine;
+                if (button && !button.disabled && engine) {
+                    button.disabled = true;
+                    await engine.craftRecipe(button.dataset.recipeId);
+                    this.updateCraftingView(engine.crafting.getForgeView());
+                }
+            });
+        }
+
         // Map node clicks (delegated)
         if (this.elements.mapContainer) {
             this.elements.mapContainer.addEventListener('click', (e) => {
@@ -119,6 +290,15 @@ export class UI {
         }
     }
 
+    /**
+     * Enable or disable the main menu's Continue Run button
+     */
+    setContinueAvailable(available) {
+        if (this.elements.continueBtn) {
+            this.elements.continueBtn.disabled = !available;
+        }
+    }
+
     /**
      * Initialize run UI with character and map data
      */
@@ -126,10 +306,20 @@ export class UI {
         this.updateCharacterInfo(runData.character);
         this.updateMapView(runData);
         this.updateResourceDisplay(runData.resources);
+        this.updateRunSeed(runData.seed);
         
         console.log('🎨 Run UI initialized');
     }
 
+    /**
+     * Update run seed display so players can share or report a run
+     */
+    updateRunSeed(seed) {
+        if (this.elements.runSeed) {
+            this.elements.runSeed.textContent = seed || '-';
+        }
+    }
+
     /**
      * Update character information display
      */
@@ -194,60 +384,262 @@ export class UI {
         if (this.elements.statVitality) {
             this.elements.statVitality.textContent = character.vitality || 0;
         }
+        if (this.elements.statAttack) {
+            this.elements.statAttack.textContent = character.attack || 0;
+        }
+        if (this.elements.statDefense) {
+            this.elements.statDefense.textContent = character.defense || 0;
+        }
+        if (this.elements.statSpeed) {
+            this.elements.statSpeed.textContent = character.speed || 0;
+        }
+
+        this.updateEquipmentView(character.equipment);
+        this.updateSkillLoadout(character);
+        this.updatePassiveList(character.passives);
     }
 
     /**
-     * Update map view with current run data
+     * List the passives picked on level up
+     */
+    updatePassiveList(passives) {
+        if (!this.elements.passiveList || !passives) return;
+
+        this.elements.passiveList.innerHTML = passives.length > 0
+            ? passives.map(passive => `
+                <div class="passive" title="${passive.description}">
+                    <span class="skill-icon">${passive.icon}</span>
+                    <span class="skill-name">${passive.name}</span>
+                </div>
+            `).join('')
+            : '<span class="equipment-empty">None yet</span>';
+    }
+
+    /**
+     * List the character's skills, marking the loadout and when locked skills unlock
+     */
+    updateSkillLoadout(character) {
+        if (!this.elements.skillLoadout || !character.skills) return;
+
+        if (this.elements.loadoutCount) {
+            this.elements.loadoutCount.textContent = `${character.getLoadout().length}/${character.loadoutSize}`;
+        }
+
+        this.elements.skillLoadout.innerHTML = '';
+
+        character.skills.forEach((skill, index) => {
+            const entry = document.createElement('div');
+            entry.className = 'loadout-skill';
+            entry.dataset.skillIndex = index;
+
+            if (skill.unlocked) {
+                entry.classList.add('unlocked');
+                entry.classList.toggle('in-loadout', !!skill.inLoadout);
+                entry.title = `${skill.description}\nRank ${skill.level || 1}\nClick to ${skill.inLoadout ? 'remove from' : 'add to'} loadout`;
+            } else {
+                entry.title = `${skill.description}\nUnlocks at level ${skill.requiredLevel}`;
+            }
+
+            entry.innerHTML = `
+                <span class="skill-icon">${skill.icon || '⚡'}</span>
+                <span class="skill-name">${skill.name}</span>
+                ${skill.unlocked ? `<span class="skill-rank">R${skill.level || 1}</span>` : `<span class="skill-lock">Lv ${skill.requiredLevel}</span>`}
+            `;
+
+            this.elements.skillLoadout.appendChild(entry);
+        });
+    }
+
+    /**
+     * Update equipped gear slots
+     */
+    updateEquipmentView(equipment) {
+        if (!this.elements.equipmentSlots || !equipment) return;
+
+        this.elements.equipmentSlots.querySelectorAll('.equipment-slot').forEach(slotElement => {
+            const slot = slotElement.dataset.slot;
+            const item = equipment[slot];
+            const label = slot.charAt(0).toUpperCase() + slot.slice(1);
+
+            slotElement.className = 'equipment-slot';
+
+            if (item) {
+                slotElement.classList.add('has-item', `rarity-${item.rarity}`);
+                slotElement.innerHTML = `
+                    <span class="item-icon">${item.icon || '📦'}</span>
+                    <span class="equipment-name">${item.name}</span>
+                `;
+                slotElement.title = `${item.name} (${item.rarity})\n${item.description}\nClick to unequip`;
+            } else {
+                slotElement.innerHTML = `<span class="equipment-empty">${label}: empty</span>`;
+                slotElement.title = '';
+            }
+        });
+    }
+
+    /**
+     * Update map view with current run data.
+     * Renders the run as layers of nodes joined by paths, highlighting the nodes the player can travel to.
      */
     updateMapView(runData) {
-        if (!runData || !this.elements.mapContainer) return;
+        if (!runData || !this.elements.mapContainer || !runData.map) return;
+
+        const { map, currentNodeIndex } = runData;
+        const currentNode = currentNodeIndex !== null ? map.nodes[currentNodeIndex] : null;
+        const reachable = new Set(this.getReachableNodeIndices());
+        const travelled = new Set(runData.path || []);
 
         // Update current region display
-        if (this.elements.currentRegion && runData.map) {
-            const currentNode = runData.map.nodes[runData.currentNodeIndex];
-            if (currentNode) {
-                this.elements.currentRegion.textContent = currentNode.regionKey || 'Unknown';
-            }
+        if (this.elements.currentRegion) {
+            const region = map.regions[currentNode ? currentNode.regionIndex : 0];
+            this.elements.currentRegion.textContent = region ? region.name : 'Unknown';
         }
 
         // Clear existing nodes
         this.elements.mapContainer.innerHTML = '';
 
-        // Generate node elements
-        if (runData.map && runData.map.nodes) {
-            runData.map.nodes.forEach((node, index) => {
-                const nodeElement = this.createMapNodeElement(node, index, runData.currentNodeIndex);
-                this.elements.mapContainer.appendChild(nodeElement);
+        const graph = document.createElement('div');
+        graph.className = 'map-graph';
+
+        const paths = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+        paths.classList.add('map-paths');
+        graph.appendChild(paths);
+
+        // Generate one row per layer, with a label where each region begins
+        map.layers.forEach(layer => {
+            const firstNode = map.nodes[layer[0]];
+            const region = map.regions[firstNode.regionIndex];
+
+            if (firstNode.localIndex === 0 && region) {
+                const label = document.createElement('div');
+                label.className = 'map-region-label';
+                label.style.color = region.color;
+                label.textContent = `${region.icon} ${region.name}`;
+                graph.appendChild(label);
+            }
+
+            const row = document.createElement('div');
+            row.className = 'map-layer';
+
+            layer.forEach(index => {
+                const state = {
+                    current: index === currentNodeIndex,
+                    reachable: reachable.has(index),
+                    travelled: travelled.has(index)
+                };
+                row.appendChild(this.createMapNodeElement(map.nodes[index], index, state));
             });
-        }
+
+            graph.appendChild(row);
+        });
+
+        this.elements.mapContainer.appendChild(graph);
+
+        // Paths need the laid-out node positions
+        requestAnimationFrame(() => this.drawMapPaths(runData));
+    }
+
+    /**
+     * Get indices of the nodes the player may travel to next (the engine validates travel)
+     */
+    getReachableNodeIndices() {
+        return window.EchoesGame?.gameEngine?.getReachableNodeIndices() || [];
+    }
+
+    /**
+     * Draw connection lines between map nodes
+     */
+    drawMapPaths(runData) {
+        const graph = this.elements.mapContainer?.querySelector('.map-graph');
+        const svg = graph?.querySelector('.map-paths');
+        if (!graph || !svg || !runData?.map) return;
+
+        const graphRect = graph.getBoundingClientRect();
+        if (graphRect.width === 0) return; // Map not visible yet, redrawn when shown
+
+        svg.setAttribute('width', graph.scrollWidth);
+        svg.setAttribute('height', graph.scrollHeight);
+        svg.innerHTML = '';
+
+        const centerOf = (index) => {
+            const element = graph.querySelector(`.map-node[data-node-index="${index}"]`);
+            if (!element) return null;
+            const rect = element.getBoundingClientRect();
+            return {
+                x: rect.left - graphRect.left + rect.width / 2,
+                y: rect.top - graphRect.top + rect.height / 2
+            };
+        };
+
+        const path = runData.path || [];
+        const reachable = new Set(this.getReachableNodeIndices());
+
+        runData.map.nodes.forEach((node, index) => {
+            const from = centerOf(index);
+            if (!from) return;
+
+            node.connections.forEach(targetIndex => {
+                const to = centerOf(targetIndex);
+                if (!to) return;
+
+                const line = document.createElementNS('http://www.w3.org/2000/svg', 'line');
+                line.setAttribute('x1', from.x);
+                line.setAttribute('y1', from.y);
+                line.setAttribute('x2', to.x);
+                line.setAttribute('y2', to.y);
+                line.classList.add('map-path');
+
+                const stepIndex = path.indexOf(index);
+                if (stepIndex !== -1 && path[stepIndex + 1] === targetIndex) {
+                    line.classList.add('travelled');
+                } else if (index === runData.currentNodeIndex && reachable.has(targetIndex)) {
+                    line.classList.add('available');
+                }
+
+                svg.appendChild(line);
+            });
+        });
     }
 
     /**
      * Create a map node element
      */
-    createMapNodeElement(node, index, currentNodeIndex) {
+    createMapNodeElement(node, index, state = {}) {
         const nodeDiv = document.createElement('div');
         nodeDiv.className = 'map-node';
         nodeDiv.dataset.nodeIndex = index;
 
         // Add state classes
-        if (index < currentNodeIndex) {
+        if (node.completed) {
             nodeDiv.classList.add('completed');
-        } else if (index === currentNodeIndex) {
+        }
+        if (state.current) {
             nodeDiv.classList.add('current');
         }
+        if (state.reachable) {
+            nodeDiv.classList.add('reachable');
+        } else if (!state.current) {
+            nodeDiv.classList.add('locked');
+        }
+        if (state.travelled) {
+            nodeDiv.classList.add('travelled');
+        }
+        if (node.type === 'boss') {
+            nodeDiv.classList.add('boss');
+        }
 
         // Create node content
         nodeDiv.innerHTML = `
             <div class="node-icon">${node.icon || '❓'}</div>
             <div class="node-info">
                 <h3>${node.name || 'Unknown'}</h3>
-                <p>${node.description || 'A mysterious location'}</p>
-                ${index === currentNodeIndex ? '<span class="node-status">Current</span>' : ''}
+                ${state.current ? '<span class="node-status">Current</span>' : ''}
                 ${node.completed ? '<span class="node-status completed">Completed</span>' : ''}
             </div>
         `;
 
+        nodeDiv.title = node.description || 'A mysterious location';
+
         return nodeDiv;
     }
 
@@ -268,6 +660,12 @@ export class UI {
             this.elements.mapView.classList.add('active');
         }
         this.currentView = 'map';
+
+        // Paths can only be measured once the map is visible
+        const runData = window.EchoesGame?.gameEngine?.activeRun;
+        if (runData) {
+            requestAnimationFrame(() => this.drawMapPaths(runData));
+        }
     }
 
     showCombatView() {
@@ -286,11 +684,20 @@ export class UI {
         this.currentView = 'event';
     }
 
+    showMerchantView() {
+        this.hideAllGameViews();
+        if (this.elements.merchantView) {
+            this.elements.merchantView.classList.add('active');
+        }
+        this.currentView = 'merchant';
+    }
+
     hideAllGameViews() {
         const views = [
             this.elements.mapView,
             this.elements.combatView,
             this.elements.eventView,
+            this.elements.merchantView,
             this.elements.inventoryView
         ];
 
@@ -304,26 +711,19 @@ export class UI {
     /**
      * Initialize combat UI
      */
-    initializeCombat(player, enemy, options = {}) {
-        this.combatState = { player, enemy, options };
+    initializeCombat(player, enemies, options = {}) {
+        this.combatState = { player, enemies, options };
         
-        // Update enemy info
-        if (this.elements.enemyName) {
-            this.elements.enemyName.textContent = enemy.name || 'Enemy';
-        }
-        
-        // Update enemy sprite
-        if (this.elements.enemySprite) {
-            this.elements.enemySprite.textContent = this.getEnemySprite(enemy);
-        }
+        // One card per enemy
+        this.createEnemyCards(enemies);
         
         // Update player sprite
         if (this.elements.playerSprite) {
             this.elements.playerSprite.textContent = this.getPlayerSprite(player);
         }
         
-        // Create skill buttons
-        this.createSkillButtons(player.skills);
+        // Create skill buttons for the loadout
+        this.createSkillButtons(player);
         
         // Clear combat log
         this.combatLogMessages = [];
@@ -334,17 +734,71 @@ export class UI {
     }
 
     /**
-     * Create skill buttons for combat
+     * Build the enemy cards (sprite, name, intent, health and status effects)
      */
-    createSkillButtons(skills) {
-        if (!this.elements.skillButtons || !skills) return;
+    createEnemyCards(enemies) {
+        if (!this.elements.enemyParty) return;
+
+        this.elements.enemyParty.innerHTML = '';
+        this.elements.enemyParty.classList.toggle('pack', enemies.length > 1);
+
+        enemies.forEach(enemy => {
+            const card = document.createElement('div');
+            card.className = 'enemy-card';
+            card.dataset.enemyIndex = enemy.combatIndex;
+            card.title = enemies.length > 1 ? `Click to target ${enemy.name}` : '';
+
+            card.innerHTML = `
+                <div class="sprite">${this.getEnemySprite(enemy)}</div>
+                <div class="enemy-info">
+                    <h3 class="enemy-name">${enemy.name || 'Enemy'}</h3>
+                    <div class="enemy-affinities">${this.describeAffinities(enemy)}</div>
+                    <div class="enemy-intent"></div>
+                    <div class="health-bar">
+                        <div class="hp-fill"></div>
+                    </div>
+                    <span class="enemy-hp-text">${enemy.hp}/${enemy.maxHp}</span>
+                    <div class="status-icons"></div>
+                </div>
+            `;
+
+            this.elements.enemyParty.appendChild(card);
+        });
+    }
+
+    /**
+     * Short weaknesses / resistances line for an enemy card
+     */
+    describeAffinities(enemy) {
+        const parts = [];
+        if (enemy.weaknesses?.length) parts.push(`Weak: ${enemy.weaknesses.join(', ')}`);
+        if (enemy.resistances?.length) parts.push(`Resists: ${enemy.resistances.join(', ')}`);
+
+        return parts.join(' · ');
+    }
+
+    /**
+     * Card element of an enemy in the current fight
+     */
+    getEnemyCard(enemy) {
+        if (!this.elements.enemyParty || !enemy) return null;
+
+        return this.elements.enemyParty.querySelector(`.enemy-card[data-enemy-index="${enemy.combatIndex}"]`);
+    }
+
+    /**
+     * Create skill buttons for the player's loadout. Buttons carry the skill's index in
+     * `player.skills`, which is what Combat.useSkill expects.
+     */
+    createSkillButtons(player) {
+        if (!this.elements.skillButtons || !player.skills) return;
 
         this.elements.skillButtons.innerHTML = '';
 
-        skills.filter(skill => skill.unlocked).forEach((skill, index) => {
+        player.getLoadout().forEach(skill => {
             const button = document.createElement('button');
             button.className = 'skill-btn';
-            button.dataset.skillIndex = index;
+            button.dataset.skillIndex = player.skills.indexOf(skill);
             
             // Add cooldown class if needed
             if (skill.currentCooldown > 0) {
@@ -384,27 +838,173 @@ export class UI {
                 combatData.currentTurn === 'player' ? 'player-turn' : 'enemy-turn';
         }
 
+        // Update the strip of upcoming turns
+        this.updateTurnOrder(combatData.turnOrder, combatData.player);
+
         // Update health bars
         this.updatePlayerHealthMana(combatData.player);
-        this.updateEnemyHealth(combatData.enemy);
+        this.updateStatusIcons(this.elements.playerStatusEffects, combatData.player);
+        
+        // Update each enemy card, marking the target and whoever is acting
+        (combatData.enemies || []).forEach(enemy => {
+            const card = this.getEnemyCard(enemy);
+            if (!card) return;
+
+            card.classList.toggle('targeted', enemy.combatIndex === combatData.targetIndex && enemy.hp > 0);
+            card.classList.toggle('acting', combatData.currentTurn === 'enemy' && enemy === combatData.enemy);
+            card.classList.toggle('defeated', enemy.hp <= 0);
+
+            this.updateEnemyHealth(enemy);
+            this.updateEnemyIntent(enemy);
+            this.updateStatusIcons(card.querySelector('.status-icons'), enemy);
+        });
         
         // Update skill buttons (cooldowns, mana costs)
         this.updateSkillButtons(combatData.player);
+        
+        // Update usable items
+        this.updateCombatItems(combatData.inventory, combatData.currentTurn === 'player');
+        
+        if (this.elements.combatDefendBtn) {
+            this.elements.combatDefendBtn.disabled = combatData.currentTurn !== 'player';
+        }
+    }
+
+    /**
+     * Show who acts next, current actor first (fast combatants can appear several times)
+     */
+    updateTurnOrder(actors, player) {
+        if (!this.elements.turnOrder) return;
+
+        this.elements.turnOrder.innerHTML = '';
+
+        (actors || []).forEach((actor, index) => {
+            const isPlayer = actor === player;
+            const chip = document.createElement('div');
+            chip.className = `turn-chip ${isPlayer ? 'player' : 'enemy'}${index === 0 ? ' current' : ''}`;
+            chip.title = index === 0 ? `${actor.name} (acting now)` : actor.name;
+            chip.innerHTML = `
+                <span class="turn-chip-icon">${isPlayer ? this.getPlayerSprite(actor) : this.getEnemySprite(actor)}</span>
+                <span class="turn-chip-name">${isPlayer ? 'You' : actor.name}</span>
+            `;
+            this.elements.turnOrder.appendChild(chip);
+        });
+    }
+
+    /**
+     * Update the list of consumables usable in combat
+     */
+    updateCombatItems(inventory, isPlayerTurn) {
+        if (!this.elements.combatItems) return;
+
+        this.elements.combatItems.innerHTML = '';
+
+        const consumables = (inventory || [])
+            .map((item, index) => ({ item, index }))
+            .filter(({ item }) => item.type === 'consumable' && item.effect);
+
+        if (this.elements.combatItemsBtn) {
+            this.elements.combatItemsBtn.textContent = `🎒 Items (${consumables.length})`;
+            this.elements.combatItemsBtn.disabled = consumables.length === 0;
+        }
+
+        consumables.forEach(({ item, index }) => {
+            const button = document.createElement('button');
+            button.className = 'combat-item-btn';
+            button.dataset.inventoryIndex = index;
+            button.disabled = !isPlayerTurn;
+            button.title = item.description || '';
+            button.innerHTML = `<span class="item-icon">${item.icon || '📦'}</span> ${item.name}`;
+            this.elements.combatItems.appendChild(button);
+        });
     }
 
     /**
      * Update enemy health bar
      */
     updateEnemyHealth(enemy) {
-        if (!enemy) return;
+        const card = this.getEnemyCard(enemy);
+        if (!card) return;
 
         const hpPercent = (enemy.hp / enemy.maxHp) * 100;
 
-        if (this.elements.enemyHpBar) {
-            this.elements.enemyHpBar.style.width = `${Math.max(0, hpPercent)}%`;
+        card.querySelector('.hp-fill').style.width = `${Math.max(0, hpPercent)}%`;
+        card.querySelector('.enemy-hp-text').textContent = `${enemy.hp}/${enemy.maxHp}`;
+    }
+
+    /**
+     * Render a combatant's active status effects as icons with turns left.
+     * Active effects carry their table entry (name, icon, description) from Combat.
+     */
+    updateStatusIcons(container, entity) {
+        if (!container) return;
+
+        container.innerHTML = '';
+        if (!entity || !entity.statusEffects) return;
+
+        entity.statusEffects.forEach((effect, type) => {
+            const stacks = effect.stacks || 1;
+            const icon = document.createElement('span');
+            icon.className = `status-icon${effect.negative ? ' negative' : ' positive'}`;
+            icon.title = `${effect.name || type}${stacks > 1 ? ` x${stacks}` : ''}: ${effect.description || ''} ` +
+                `(${effect.duration} turn${effect.duration === 1 ? '' : 's'} left)`;
+            icon.innerHTML = `
+                ${effect.icon || '❔'}
+                <span class="status-turns">${effect.duration}</span>
+                ${stacks > 1 ? `<span class="status-stacks">x${stacks}</span>` : ''}
+            `;
+            container.appendChild(icon);
+        });
+    }
+
+    /**
+     * Show the enemy's announced next action beside its name
+     */
+    updateEnemyIntent(enemy) {
+        const element = this.getEnemyCard(enemy)?.querySelector('.enemy-intent');
+        if (!element) return;
+
+        const intent = enemy.hp > 0 ? enemy.intent : null;
+        const display = intent ? this.describeEnemyIntent(intent) : null;
+
+        element.className = `enemy-intent${intent ? ` intent-${intent.type}` : ''}`;
+        element.textContent = display ? `${display.icon} ${display.text}` : '';
+        element.title = display ? display.hint : '';
+    }
+
+    /**
+     * Icon, label and tooltip for an enemy intent
+     */
+    describeEnemyIntent(intent) {
+        const amount = intent.value !== null && intent.value !== undefined ? ` ${intent.value}` : '';
+        const skillName = intent.name ? ` (${intent.name})` : '';
+
+        if (intent.type === 'telegraph') {
+            return {
+                icon: '⚠️',
+                text: `${intent.name}${amount}`,
+                hint: 'Lands this turn. Defend to halve it, stun to interrupt it, or evade to dodge it.'
+            };
         }
-        if (this.elements.enemyHpText) {
-            this.elements.enemyHpText.textContent = `${enemy.hp}/${enemy.maxHp}`;
+
+        if (intent.windup) {
+            return { icon: '⏳', text: `Preparing ${intent.name}`, hint: 'Winding up a heavy attack for next turn' };
+        }
+
+        switch (intent.type) {
+            case 'attack':
+            case 'special':
+                return { icon: '⚔️', text: `Attack${amount}`, hint: `Will attack for about${amount} damage${skillName}` };
+            case 'defend':
+                return { icon: '🛡️', text: 'Defend', hint: 'Will raise its defense' };
+            case 'buff':
+                return { icon: '⬆️', text: 'Buff', hint: `Will strengthen itself${skillName}` };
+            case 'debuff':
+                return { icon: '⬇️', text: amount ? `Debuff${amount}` : 'Debuff', hint: `Will weaken you${skillName}` };
+            case 'heal':
+                return { icon: '💚', text: `Heal${amount}`, hint: `Will heal itself${skillName}` };
+            default:
+                return null;
         }
     }
 
@@ -416,8 +1016,8 @@ export class UI {
 
         const skillButtons = this.elements.skillButtons.querySelectorAll('.skill-btn');
         
-        skillButtons.forEach((button, index) => {
-            const skill = player.skills[index];
+        skillButtons.forEach(button => {
+            const skill = player.skills[parseInt(button.dataset.skillIndex)];
             if (!skill) return;
 
             // Update cooldown state
@@ -449,7 +1049,7 @@ export class UI {
     updateCombatHealthBars() {
         if (this.combatState) {
             this.updatePlayerHealthMana(this.combatState.player);
-            this.updateEnemyHealth(this.combatState.enemy);
+            this.combatState.enemies.forEach(enemy => this.updateEnemyHealth(enemy));
         }
     }
 
@@ -540,21 +1140,127 @@ export class UI {
     }
 
     /**
-     * Show damage effect animation
+     * Show the rolled outcome of an event choice with a button to move on
      */
-    showDamageEffect(target, damage, critical = false) {
-        const targetElement = target === this.combatState?.player ? 
-            this.elements.playerSprite : this.elements.enemySprite;
+    showEventResult(result) {
+        if (!this.elements.eventChoices || !result) return;
+
+        this.elements.eventChoices.innerHTML = '';
+
+        const outcome = document.createElement('p');
+        outcome.className = `event-outcome ${result.tone || 'neutral'}`;
+        outcome.textContent = result.message;
+        this.elements.eventChoices.appendChild(outcome);
+
+        const button = document.createElement('button');
+        button.className = 'event-choice';
+        button.textContent = result.followUp ? 'Fight!' : 'Continue';
+
+        button.addEventListener('click', () => {
+            button.disabled = true;
+            if (window.EchoesGame?.gameEngine) {
+                window.EchoesGame.gameEngine.continueAfterEvent();
+            } else {
+                this.showMapView();
+            }
+        });
+
+        this.elements.eventChoices.appendChild(button);
+    }
+
+    /**
+     * Show merchant screen with priced stock and sellable inventory
+     */
+    showMerchant(merchant, offers) {
+        if (!merchant || !offers) return;
+
+        if (this.elements.merchantName) {
+            this.elements.merchantName.textContent = merchant.name || 'Merchant';
+        }
+        if (this.elements.merchantGreeting) {
+            this.elements.merchantGreeting.textContent = merchant.greeting || '';
+        }
+        if (this.elements.merchantGold) {
+            this.elements.merchantGold.textContent = offers.gold;
+        }
+
+        this.renderMerchantList(this.elements.merchantStock, offers.stock, 'buy');
+        this.renderMerchantList(this.elements.merchantSell, offers.sellables, 'sell');
+
+        if (this.currentView !== 'merchant') {
+            this.showMerchantView();
+        }
+    }
+
+    /**
+     * Render one side of the merchant screen
+     */
+    renderMerchantList(container, entries, mode) {
+        if (!container) return;
+
+        container.innerHTML = '';
+
+        if (entries.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'merchant-empty';
+            empty.textContent = mode === 'buy' ? 'Sold out!' : 'You have nothing to sell.';
+            container.appendChild(empty);
+            return;
+        }
+
+        entries.forEach(({ index, item, price, affordable }) => {
+            const row = document.createElement('div');
+            row.className = `merchant-item rarity-${item.rarity || 'common'}`;
+            row.title = item.description || '';
+
+            const quantity = mode === 'buy' && item.quantity > 1 ? ` ×${item.quantity}` : '';
+            const button = mode === 'buy' ?
+                `<button class="merchant-buy-btn" data-stock-index="${index}" ${affordable ? '' : 'disabled'}>Buy ${price}g</button>` :
+                `<button class="merchant-sell-btn" data-inventory-index="${index}">Sell ${price}g</button>`;
+
+            row.innerHTML = `
+                <div class="item-icon">${item.icon || '📦'}</div>
+                <div class="merchant-item-info">
+                    <div class="merchant-item-name">${item.name}${quantity}</div>
+                    <div class="merchant-item-desc">${item.description || ''}</div>
+                </div>
+                ${button}
+            `;
+
+            container.appendChild(row);
+        });
+    }
+
+    /**
+     * Sprite element of the player or of one of the enemies
+     */
+    getCombatantSprite(target) {
+        if (target === this.combatState?.player) {
+            return this.elements.playerSprite;
+        }
+
+        return this.getEnemyCard(target)?.querySelector('.sprite') || null;
+    }
+
+    /**
+     * Show damage effect animation. `matchup` is 'weak' or 'resisted' when the hit's
+     * element met one of the target's affinities.
+     */
+    showDamageEffect(target, damage, critical = false, matchup = null) {
+        const targetElement = this.getCombatantSprite(target);
         
         if (!targetElement) return;
 
+        const matchupLabels = { weak: ' WEAK!', resisted: ' resisted' };
+        const matchupColors = { weak: '#FF1493', resisted: '#A9A9A9' };
+
         // Create damage number
         const damageNumber = document.createElement('div');
-        damageNumber.className = `damage-number ${critical ? 'critical' : ''}`;
-        damageNumber.textContent = `-${damage}`;
+        damageNumber.className = `damage-number ${critical ? 'critical' : ''} ${matchup || ''}`;
+        damageNumber.textContent = `-${damage}${matchupLabels[matchup] || ''}`;
         damageNumber.style.position = 'absolute';
         damageNumber.style.pointerEvents = 'none';
-        damageNumber.style.color = critical ? '#FFD700' : '#FF4500';
+        damageNumber.style.color = critical ? '#FFD700' : (matchupColors[matchup] || '#FF4500');
         damageNumber.style.fontWeight = 'bold';
         damageNumber.style.fontSize = critical ? '1.5rem' : '1.2rem';
         damageNumber.style.zIndex = '1000';
@@ -593,8 +1299,7 @@ export class UI {
      * Show heal effect animation
      */
     showHealEffect(target, healing) {
-        const targetElement = target === this.combatState?.player ? 
-            this.elements.playerSprite : this.elements.enemySprite;
+        const targetElement = this.getCombatantSprite(target);
         
         if (!targetElement) return;
 
@@ -716,7 +1421,7 @@ export class UI {
         victory.className = 'combat-result victory';
         victory.innerHTML = `
             <h2>Victory! 🎉</h2>
-            <p>Defeated ${result.enemy.name}</p>
+            <p>Defeated ${(result.enemies || [result.enemy]).map(enemy => enemy.name).join(', ')}</p>
             <div class="rewards">
                 <p>Experience: +${result.experience}</p>
                 <p>Gold: +${result.rewards?.resources?.gold || 0}</p>
@@ -741,6 +1446,40 @@ export class UI {
         document.body.appendChild(victory);
     }
 
+    /**
+     * Open the level up modal with its upgrade choices
+     */
+    showLevelUpChoices({ level, choices }) {
+        if (!this.elements.levelUpModal || !this.elements.levelUpChoices) return;
+
+        if (this.elements.levelUpLevel) {
+            this.elements.levelUpLevel.textContent = level;
+        }
+
+        this.elements.levelUpChoices.innerHTML = '';
+
+        choices.forEach((choice, index) => {
+            const button = document.createElement('button');
+            button.className = `level-up-choice ${choice.type}`;
+            button.dataset.choiceIndex = index;
+            button.innerHTML = `
+                <span class="choice-icon">${choice.icon}</span>
+                <span class="choice-name">${choice.name}</span>
+                <span class="choice-description">${choice.description}</span>
+            `;
+
+            this.elements.levelUpChoices.appendChild(button);
+        });
+
+        this.elements.levelUpModal.classList.add('active');
+    }
+
+    hideLevelUpChoices() {
+        if (this.elements.levelUpModal) {
+            this.elements.levelUpModal.classList.remove('active');
+        }
+    }
+
     /**
      * Toggle inventory view
      */
@@ -781,18 +1520,147 @@ export class UI {
             const slot = document.createElement('div');
             slot.className = 'inventory-slot';
             
-            if (inventory[i]) {
+            const item = inventory[i];
+            if (item) {
                 slot.classList.add('has-item');
+                slot.dataset.inventoryIndex = i;
                 slot.innerHTML = `
-                    <div class="item-icon">${inventory[i].icon || '📦'}</div>
+                    <div class="item-icon">${item.icon || '📦'}</div>
                 `;
-                slot.title = inventory[i].name;
+
+                if (item.type === 'equipment') {
+                    slot.classList.add('equippable', `rarity-${item.rarity}`);
+                    slot.title = `${item.name} (${item.rarity} ${item.slot})\n${item.description}\nClick to equip`;
+                } else if (item.type === 'consumable' && item.effect) {
+                    slot.classList.add('usable');
+                    slot.title = `${item.name} - ${item.description}\n${item.combatOnly ? 'Usable in combat' : 'Click to use'}`;
+                } else {
+                    slot.title = item.name;
+                }
             }
             
             this.elements.inventoryGrid.appendChild(slot);
         }
     }
 
+    /**
+     * Open the forge's crafting screen
+     */
+    showCraftingScreen() {
+        const engine = window.EchoesGame?.gameEngine;
+        if (!engine) return;
+
+        window.EchoesGame.showScreen('crafting-screen');
+        this.updateCraftingView(engine.crafting.getForgeView());
+    }
+
+    /**
+     * Render recipes, materials, the forge queue and the stash
+     */
+    updateCraftingView(view) {
+        if (!this.elements.recipeList || !this.elements.materialsList || !view) return;
+
+        this.elements.recipeList.innerHTML = '';
+
+        view.recipes.forEach(recipe => {
+            const card = document.createElement('div');
+            card.className = 'recipe-card';
+
+            if (!recipe.discovered) {
+                card.classList.add('undiscovered');
+                card.innerHTML = `
+                    <h3>❔ Unknown Recipe <span class="recipe-tier">Tier ${recipe.tier}</span></h3>
+                    <p class="recipe-hint">${recipe.unlockHint}</p>
+                `;
+                this.elements.recipeList.appendChild(card);
+                return;
+            }
+
+            if (recipe.canCraft) card.classList.add('can-craft');
+            if (recipe.tier > view.forgeLevel) card.classList.add('forge-locked');
+
+            const costs = recipe.costs.map(cost => `
+                <span class="recipe-cost ${cost.have >= cost.amount ? 'enough' : 'short'}">
+                    ${cost.icon} ${cost.have}/${cost.amount}
+                </span>
+            `).join('');
+
+            card.innerHTML = `
+                <h3>${recipe.icon} ${recipe.name} <span class="recipe-tier">Tier ${recipe.tier}</span></h3>
+                <p class="recipe-desc">${recipe.minRarity ? `${recipe.minRarity}+ gear` : recipe.description}</p>
+                <div class="recipe-costs">${costs}</div>
+                <div class="recipe-footer">
+                    <span class="recipe-time">⏱️ ${recipe.craftTime}s</span>
+                    <button class="recipe-craft-btn" data-recipe-id="${recipe.id}" ${recipe.canCraft ? '' : 'disabled'}
+                        title="${recipe.reason || ''}">Craft</button>
+                </div>
+            `;
+
+            this.elements.recipeList.appendChild(card);
+        });
+
+        const materials = view.materials.map(material => `
+            <div class="stat-line">${material.icon} ${material.name} <span>${material.amount}</span></div>
+        `).join('');
+
+        const queue = view.queue.length > 0
+            ? view.queue.map(job => `
+                <div class="stat-line">${job.icon} ${job.name} <span>${job.remaining}s</span></div>
+            `).join('')
+            : '<p class="merchant-empty">The forge is cold.</p>';
+
+        const stash = view.stash.length > 0
+            ? view.stash.map(item => `
+                <div class="stat-line rarity-${item.rarity}">${item.icon} ${item.name}</div>
+            `).join('')
+            : '<p class="merchant-empty">Nothing crafted yet.</p>';
+
+        this.elements.materialsList.innerHTML = `
+            ${materials}
+            <h3>In the Forge <span class="recipe-tier">×${view.craftingSpeed.toFixed(2)} speed</span></h3>
+            ${queue}
+            <h3>Ready for Next Run</h3>
+            ${stash}
+        `;
+
+        // Tick the queue while the forge screen is open
+        clearTimeout(this.animationTimers.get('crafting'));
+        if (view.queue.length > 0) {
+            this.animationTimers.set('crafting', setTimeout(() => {
+                const engine = window.EchoesGame?.gameEngine;
+                if (engine && this.elements.craftingScreen?.classList.contains('active')) {
+                    this.updateCraftingView(engine.crafting.getForgeView());
+                }
+            }, 1000));
+        }
+    }
+
+    /**
+     * Show gathered resources at a resource node
+     */
+    showResourcePickup(resourceType, amount, material = null) {
+        const name = material ? material.name : resourceType;
+
+        this.showEvent({
+            title: 'Resources Found',
+            description: `You gather ${amount} ${name}. They'll be brought back to the forge when the run ends.`,
+            image: material ? material.icon : '💎',
+            choices: []
+        });
+    }
+
+    /**
+     * Show the result of resting at a campfire
+     */
+    showRestEffect(healAmount, manaAmount) {
+        this.showEvent({
+            title: 'A Moment of Rest',
+            description: `You rest by the fire and recover ${healAmount} HP and ${manaAmount} MP.`,
+            image: '🏕️',
+            choices: []
+        });
+    }
+
     /**
      * Show run summary
      */
@@ -870,22 +1738,71 @@ export class UI {
         }
     }
 
+    handleLevelUpChoiceClick(choiceIndex) {
+        console.log(`🎁 Level up choice clicked: ${choiceIndex}`);
+        
+        if (window.EchoesGame?.gameEngine) {
+            window.EchoesGame.gameEngine.chooseLevelUpUpgrade(choiceIndex);
+        }
+    }
+
+    handleLoadoutClick(skillIndex) {
+        console.log(`📘 Loadout skill clicked: ${skillIndex}`);
+        
+        if (window.EchoesGame?.gameEngine) {
+            window.EchoesGame.gameEngine.toggleLoadoutSkill(skillIndex);
+        }
+    }
+
+    handleItemClick(inventoryIndex) {
+        console.log(`🎒 Item clicked: ${inventoryIndex}`);
+        
+        const engine = window.EchoesGame?.gameEngine;
+        if (!engine) return;
+
+        const item = engine.activeRun?.inventory[inventoryIndex];
+        if (item?.type === 'equipment') {
+            engine.equipItem(inventoryIndex);
+        } else {
+            engine.useItem(inventoryIndex);
+        }
+    }
+
+    handleEquipmentClick(slot) {
+        console.log(`🛡️ Equipment slot clicked: ${slot}`);
+        
+        if (window.EchoesGame?.gameEngine) {
+            window.EchoesGame.gameEngine.unequipItem(slot);
+        }
+    }
+
+    async handleContinueClick() {
+        const engine = window.EchoesGame?.gameEngine;
+        if (!engine) return;
+
+        if (!await engine.loadActiveRun()) {
+            this.setContinueAvailable(false);
+            return;
+        }
+
+        window.EchoesGame.showScreen('game-screen');
+        await engine.continueRun();
+    }
+
     handleNodeClick(nodeIndex) {
         console.log(`🗺️ Node clicked: ${nodeIndex}`);
         
         if (window.EchoesGame?.gameEngine) {
-            window.EchoesGame.gameEngine.moveToNextNode();
+            window.EchoesGame.gameEngine.travelToNode(nodeIndex);
         }
     }
 
     handleEventChoice(choiceIndex, choice) {
         console.log(`📝 Event choice: ${choiceIndex}`);
         
-        // TODO: Implement event choice handling
-        // For now, just return to map
-        setTimeout(() => {
-            this.showMapView();
-        }, 1000);
+        if (window.EchoesGame?.gameEngine) {
+            window.EchoesGame.gameEngine.resolveEventChoice(choiceIndex);
+        }
     }
 
     /**